@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line interface for the Point Cloud Generator.
+ *
+ * Generates point clouds headlessly from the same presets, generator and
+ * exporters as the browser app.
+ *
+ * @example
+ * pcg generate --preset vase --mode revolution --density 200 --format ply -o vase.ply
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    DEFAULT_PARAMS,
+    DEFAULT_VIEW,
+    FORMATS,
+    SCENE_LAYOUTS,
+    presets,
+    listModes,
+    listDeformers,
+    createDeformer,
+    listPrimitives,
+    createShape,
+    listArrays,
+    createArray,
+    slugify,
+    generatePointCloud,
+    generateScene,
+    exportPointCloud,
+    exportScene
+} from '../src/core.js';
+
+const USAGE = `Usage: pcg <command> [options]
+
+Commands:
+  generate          Generate a point cloud and write it to a file or stdout
+  presets           List the available presets
+  modes             List the geometry modes and their parameters
+  deformers         List the deformers and their settings
+  shapes            List the implicit mode's primitive shapes and their settings
+  arrays            List the array modifiers and their settings
+
+Generate options:
+  --preset <name>       Preset curves (default: the app's default curves)
+  --mode <mode>         ${listModes().map(m => m.name).join(' | ')} (default: ${DEFAULT_PARAMS.mode})
+  --param <key=value>   Set a mode parameter (repeatable, see "pcg modes")
+  --deform <spec>       Add a deformer, e.g. twist:strength=180 or bend:strength=45,axis=z
+                        (repeatable, applied in order, see "pcg deformers")
+  --shape <spec>        Add a primitive to the implicit mode, e.g. sphere:radius=0.3 or
+                        box:op=subtract,y=0.8 (repeatable, merged in order, see "pcg shapes")
+  --array <spec>        Repeat the cloud, e.g. radial:count=8,radius=150 or linear:count=4,offsetX=120
+                        (repeatable, each one repeats the copies before it, see "pcg arrays")
+  --density <n>         Points per axis, sets both U and V (default: ${DEFAULT_PARAMS.densityU})
+  --density-u <n>       Points around the shape (U)
+  --density-v <n>       Points along the profile (V)
+  --adaptive            Concentrate points where the curves bend
+  --budget <n>          Total points in adaptive mode (default: ${DEFAULT_PARAMS.pointBudget})
+  --adaptivity <n>      Share of adaptive points driven by curvature 0-1 (default: ${DEFAULT_PARAMS.adaptivity})
+  --distribution <d>    grid | random (area-weighted) | poisson (default: ${DEFAULT_PARAMS.distribution})
+                        random and poisson spend --budget points and follow --seed
+  --min-spacing <n>     Minimum Poisson-disk spacing in world units, 0 = automatic (default: ${DEFAULT_PARAMS.minSpacing})
+  --fill <type>         none | uniform | shells | falloff: also fill solids (default: ${DEFAULT_PARAMS.fill})
+  --fill-ratio <n>      Share of the budget spent inside the solid 0-1 (default: ${DEFAULT_PARAMS.fillRatio})
+  --fill-shells <n>     Number of inner shells (default: ${DEFAULT_PARAMS.fillShells})
+  --fill-falloff <n>    How fast the falloff fill thins out inward (default: ${DEFAULT_PARAMS.fillFalloff})
+  --cap-top             Fill the top cross-section of sweep, revolution and loft shapes
+  --cap-bottom          Fill the bottom cross-section
+  --spacing <mode>      parametric | uniform (arc-length) (default: ${DEFAULT_PARAMS.spacing})
+  --height <n>          Height scale (default: ${DEFAULT_PARAMS.height})
+  --color <hex>         Primary color (default: ${DEFAULT_PARAMS.color})
+  --color2 <hex>        Secondary color (default: ${DEFAULT_PARAMS.color2})
+  --color-mode <mode>   solid | height | depth | normal (default: ${DEFAULT_PARAMS.colorMode})
+  --noise <n>           Noise intensity 0-1 (default: ${DEFAULT_PARAMS.noise})
+  --noise-type <type>   white | perlin | fbm (default: ${DEFAULT_PARAMS.noiseType})
+  --noise-frequency <n> Coherent noise features per grid width (default: ${DEFAULT_PARAMS.noiseFrequency})
+  --noise-octaves <n>   fBm octaves (default: ${DEFAULT_PARAMS.noiseOctaves})
+  --noise-normal        Displace along the surface normal
+  --seed <n>            Noise seed (default: ${DEFAULT_PARAMS.seed})
+  --grid-width <n>      Grid width in world units (default: ${DEFAULT_PARAMS.gridWidth})
+  --grid-depth <n>      Grid depth in world units (default: ${DEFAULT_PARAMS.gridDepth})
+  --format <fmt>        ${FORMATS.join(' | ')} (default: from --output extension, else obj)
+  -o, --output <file>   Output file (default: stdout)
+
+Scene options:
+  --scene <file>        JSON scene: {"params": {...}, "objects": [{"name", "preset", "params", "transform"}]}
+                        Generate options above apply to every object unless the object sets them
+  --objects <layout>    ${SCENE_LAYOUTS.join(' | ')}: one cloud, one group per object (OBJ objects,
+                        PLY object index) or one file per object named <output>-<object> (default: merged)
+
+SVG options:
+  --svg-width <px>      Image width (default: ${DEFAULT_VIEW.width})
+  --svg-height <px>     Image height (default: ${DEFAULT_VIEW.height})
+  --radius <px>         Point radius (default: ${DEFAULT_VIEW.radius})
+  --angle-x <deg>       Camera rotation around X (default: 0)
+  --angle-y <deg>       Camera rotation around Y (default: 0)
+  --zoom <n>            Zoom factor (default: ${DEFAULT_VIEW.zoom})
+  --bg-color <hex>      Background color (default: ${DEFAULT_VIEW.bgColor})
+  --bg-transparent      Transparent background
+
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+    preset: { type: 'string' },
+    mode: { type: 'string' },
+    param: { type: 'string', multiple: true },
+    deform: { type: 'string', multiple: true },
+    shape: { type: 'string', multiple: true },
+    array: { type: 'string', multiple: true },
+    density: { type: 'string' },
+    'density-u': { type: 'string' },
+    'density-v': { type: 'string' },
+    adaptive: { type: 'boolean' },
+    budget: { type: 'string' },
+    adaptivity: { type: 'string' },
+    distribution: { type: 'string' },
+    'min-spacing': { type: 'string' },
+    fill: { type: 'string' },
+    'fill-ratio': { type: 'string' },
+    'fill-shells': { type: 'string' },
+    'fill-falloff': { type: 'string' },
+    'cap-top': { type: 'boolean' },
+    'cap-bottom': { type: 'boolean' },
+    spacing: { type: 'string' },
+    height: { type: 'string' },
+    color: { type: 'string' },
+    color2: { type: 'string' },
+    'color-mode': { type: 'string' },
+    noise: { type: 'string' },
+    'noise-type': { type: 'string' },
+    'noise-frequency': { type: 'string' },
+    'noise-octaves': { type: 'string' },
+    'noise-normal': { type: 'boolean' },
+    seed: { type: 'string' },
+    'grid-width': { type: 'string' },
+    'grid-depth': { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    scene: { type: 'string' },
+    objects: { type: 'string' },
+    'svg-width': { type: 'string' },
+    'svg-height': { type: 'string' },
+    radius: { type: 'string' },
+    'angle-x': { type: 'string' },
+    'angle-y': { type: 'string' },
+    zoom: { type: 'string' },
+    'bg-color': { type: 'string' },
+    'bg-transparent': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parses a numeric option, rejecting anything that is not a finite number.
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @returns {number|undefined} The parsed number, or undefined when not given
+ */
+function readNumber(values, name) {
+    if (values[name] === undefined) return undefined;
+    const n = Number(values[name]);
+    if (!Number.isFinite(n)) {
+        throw new Error(`--${name} expects a number, got "${values[name]}"`);
+    }
+    return n;
+}
+
+/**
+ * Parses repeated `--param key=value` options into an object.
+ * Numbers and booleans are converted, anything else is kept as a string.
+ * @param {string[]} [entries] - Raw option values
+ * @returns {Object} Parsed parameters
+ */
+function readParams(entries = []) {
+    const params = {};
+    for (const entry of entries) {
+        const eq = entry.indexOf('=');
+        if (eq <= 0) {
+            throw new Error(`--param expects key=value, got "${entry}"`);
+        }
+        const key = entry.slice(0, eq);
+        const raw = entry.slice(eq + 1);
+        if (raw === 'true' || raw === 'false') {
+            params[key] = raw === 'true';
+        } else if (raw.trim() !== '' && Number.isFinite(Number(raw))) {
+            params[key] = Number(raw);
+        } else {
+            params[key] = raw;
+        }
+    }
+    return params;
+}
+
+/**
+ * Parses repeated `--deform type:key=value,key=value` options into a deformer stack.
+ * @param {string[]} [entries] - Raw option values
+ * @returns {Object[]} Deformers, in the order given
+ */
+function readDeformers(entries = []) {
+    return entries.map(entry => {
+        const colon = entry.indexOf(':');
+        const type = colon === -1 ? entry : entry.slice(0, colon);
+        const settings = colon === -1 ? [] : entry.slice(colon + 1).split(',').filter(Boolean);
+        return createDeformer(type, readParams(settings));
+    });
+}
+
+/**
+ * Parses repeated `--shape type:key=value,key=value` options into an implicit scene.
+ * @param {string[]} [entries] - Raw option values
+ * @returns {Object[]} Shapes, in the order given
+ */
+function readShapes(entries = []) {
+    return entries.map(entry => {
+        const colon = entry.indexOf(':');
+        const type = colon === -1 ? entry : entry.slice(0, colon);
+        const settings = colon === -1 ? [] : entry.slice(colon + 1).split(',').filter(Boolean);
+        return createShape(type, readParams(settings));
+    });
+}
+
+/**
+ * Parses repeated `--array type:key=value,key=value` options into an array stack.
+ * @param {string[]} [entries] - Raw option values
+ * @returns {Object[]} Array modifiers, in the order given
+ */
+function readArrays(entries = []) {
+    return entries.map(entry => {
+        const colon = entry.indexOf(':');
+        const type = colon === -1 ? entry : entry.slice(0, colon);
+        const settings = colon === -1 ? [] : entry.slice(colon + 1).split(',').filter(Boolean);
+        return createArray(type, readParams(settings));
+    });
+}
+
+/**
+ * Copies the defined entries of `source` onto `target`.
+ * @param {Object} target - Object to fill
+ * @param {Object} source - Entries that may be undefined
+ * @returns {Object} The target
+ */
+function assignDefined(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (value !== undefined) target[key] = value;
+    }
+    return target;
+}
+
+/**
+ * Runs the `generate` command.
+ * @param {Object} values - Parsed option values
+ */
+function runGenerate(values) {
+    const params = assignDefined(readParams(values.param), {
+        mode: values.mode,
+        deformers: values.deform ? readDeformers(values.deform) : undefined,
+        shapes: values.shape ? readShapes(values.shape) : undefined,
+        arrays: values.array ? readArrays(values.array) : undefined,
+        densityU: readNumber(values, 'density-u') ?? readNumber(values, 'density'),
+        densityV: readNumber(values, 'density-v') ?? readNumber(values, 'density'),
+        adaptive: values.adaptive,
+        pointBudget: readNumber(values, 'budget'),
+        adaptivity: readNumber(values, 'adaptivity'),
+        distribution: values.distribution,
+        minSpacing: readNumber(values, 'min-spacing'),
+        fill: values.fill,
+        fillRatio: readNumber(values, 'fill-ratio'),
+        fillShells: readNumber(values, 'fill-shells'),
+        fillFalloff: readNumber(values, 'fill-falloff'),
+        capTop: values['cap-top'],
+        capBottom: values['cap-bottom'],
+        spacing: values.spacing,
+        height: readNumber(values, 'height'),
+        color: values.color,
+        color2: values.color2,
+        colorMode: values['color-mode'],
+        noise: readNumber(values, 'noise'),
+        noiseType: values['noise-type'],
+        noiseFrequency: readNumber(values, 'noise-frequency'),
+        noiseOctaves: readNumber(values, 'noise-octaves'),
+        noiseAlongNormal: values['noise-normal'],
+        seed: readNumber(values, 'seed'),
+        gridWidth: readNumber(values, 'grid-width'),
+        gridDepth: readNumber(values, 'grid-depth')
+    });
+
+    const angleX = readNumber(values, 'angle-x');
+    const angleY = readNumber(values, 'angle-y');
+    const view = assignDefined({}, {
+        width: readNumber(values, 'svg-width'),
+        height: readNumber(values, 'svg-height'),
+        radius: readNumber(values, 'radius'),
+        angleX: angleX === undefined ? undefined : angleX * Math.PI / 180,
+        angleY: angleY === undefined ? undefined : angleY * Math.PI / 180,
+        zoom: readNumber(values, 'zoom'),
+        bgColor: values['bg-color'],
+        bgTransparent: values['bg-transparent']
+    });
+
+    const format = (values.format
+        || (values.output && extname(values.output).slice(1))
+        || 'obj').toLowerCase();
+
+    if (values.scene) {
+        writeScene(values, params, format, view);
+        return;
+    }
+
+    const points = generatePointCloud({ preset: values.preset, params });
+    const content = exportPointCloud(points, format, view);
+
+    if (values.output) {
+        writeFileSync(values.output, content);
+        process.stderr.write(`Wrote ${points.length} points to ${values.output}\n`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+/**
+ * Generates a multi-object scene file and writes it in the requested layout.
+ * @param {Object} values - Parsed option values
+ * @param {Object} params - Parameters from the generate options, shared by all objects
+ * @param {string} format - Output format
+ * @param {Object} view - SVG view overrides
+ */
+function writeScene(values, params, format, view) {
+    const layout = values.objects || 'merged';
+    if (!SCENE_LAYOUTS.includes(layout)) {
+        throw new Error(`Unknown object layout "${layout}". Available: ${SCENE_LAYOUTS.join(', ')}`);
+    }
+
+    const scene = JSON.parse(readFileSync(values.scene, 'utf8'));
+    const groups = generateScene({ ...scene, params: { ...scene.params, ...params } });
+
+    if (layout === 'files') {
+        if (!values.output) throw new Error('--objects files needs --output to name the files');
+        const ext = extname(values.output);
+        const base = ext ? values.output.slice(0, -ext.length) : values.output;
+        for (const group of groups) {
+            const file = `${base}-${slugify(group.name)}.${format}`;
+            writeFileSync(file, exportPointCloud(group.points, format, view));
+            process.stderr.write(`Wrote ${group.points.length} points to ${file}\n`);
+        }
+        return;
+    }
+
+    const content = exportScene(groups, format, { layout, view });
+    if (values.output) {
+        writeFileSync(values.output, content);
+        const total = groups.reduce((sum, group) => sum + group.points.length, 0);
+        process.stderr.write(`Wrote ${total} points in ${groups.length} objects to ${values.output}\n`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+/**
+ * Entry point.
+ * @param {string[]} argv - Command line arguments without the node/script prefix
+ */
+function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    switch (command) {
+        case 'generate':
+            runGenerate(values);
+            break;
+        case 'presets':
+            for (const [key, preset] of Object.entries(presets)) {
+                process.stdout.write(`${key}\t${preset.label}\n`);
+            }
+            break;
+        case 'modes':
+            for (const mode of listModes()) {
+                process.stdout.write(`${mode.name}\t${mode.label}\n`);
+                for (const param of mode.params) {
+                    process.stdout.write(`  ${param.key}\t${param.label} (default: ${param.default})\n`);
+                }
+            }
+            break;
+        case 'deformers':
+            for (const deformer of listDeformers()) {
+                process.stdout.write(`${deformer.name}\t${deformer.label}\n`);
+                for (const param of deformer.params) {
+                    process.stdout.write(`  ${param.key}\t${param.label} (default: ${param.default})\n`);
+                }
+            }
+            break;
+        case 'shapes':
+            for (const primitive of listPrimitives()) {
+                process.stdout.write(`${primitive.name}\t${primitive.label}\n`);
+                for (const param of primitive.params) {
+                    process.stdout.write(`  ${param.key}\t${param.label} (default: ${param.default})\n`);
+                }
+            }
+            break;
+        case 'arrays':
+            for (const array of listArrays()) {
+                process.stdout.write(`${array.name}\t${array.label}\n`);
+                for (const param of array.params) {
+                    process.stdout.write(`  ${param.key}\t${param.label} (default: ${param.default})\n`);
+                }
+            }
+            break;
+        default:
+            throw new Error(`Unknown command "${command}"`);
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`pcg: ${err.message}\nRun "pcg --help" for usage.\n`);
+    process.exitCode = 1;
+}
@@ -4,7 +4,23 @@
  * cubic Bezier splines with draggable control points.
  */
 
-import { cubicBezier, sampleBezierSpline, TOP_MARGIN, BOTTOM_MARGIN, LEFT_MARGIN, RIGHT_MARGIN } from './math.js';
+import { cubicBezier, sampleBezierSpline, segmentCount, insertSplit, TOP_MARGIN, BOTTOM_MARGIN, LEFT_MARGIN, RIGHT_MARGIN } from './math.js';
+import { defaultCurves } from './presets.js';
+
+/**
+ * Handle modes a point can use, in the order of their keyboard shortcuts.
+ * Points without a `mode` are symmetric.
+ * - symmetric: the handles mirror each other
+ * - aligned: the handles stay opposite each other but keep their own lengths
+ * - free: each handle moves on its own, for corners
+ * - auto: the handles are computed from the neighboring points (Catmull-Rom)
+ */
+const HANDLE_MODES = [
+    { mode: 'symmetric', label: 'Symmetric' },
+    { mode: 'aligned', label: 'Aligned' },
+    { mode: 'free', label: 'Free' },
+    { mode: 'auto', label: 'Auto Smooth' }
+];
 
 /**
  * Interactive Bezier curve editor for defining profile and shape curves.
@@ -21,12 +37,25 @@ export class CurveEditor {
      * @param {string} canvasId - ID of the canvas element to attach to
      * @param {boolean} [isVertical=false] - Whether this is a vertical profile editor
      * @param {Function} [onChange] - Callback function triggered when the curve changes
+     * @param {Object} [options] - View options, used to edit two axes of a 3D path
+     * @param {string[]} [options.axes=['x', 'y']] - Point coordinates shown on the canvas's horizontal and vertical axes
+     * @param {string[]} [options.labels] - Labels of the horizontal and vertical axes
+     * @param {string[]} [options.colors] - Colors of the horizontal and vertical axes
+     * @param {{x: number, y: number}} [options.origin] - Normalized position where the axes cross
+     * @param {Array} [options.defaultCurve] - Curve loaded on startup and reset
+     * @param {boolean} [options.closable=false] - Whether the user can close the curve into a loop
      */
-    constructor(canvasId, isVertical = false, onChange) {
+    constructor(canvasId, isVertical = false, onChange, options = {}) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.isVertical = isVertical;
         this.onChange = onChange;
+        this.axes = options.axes || ['x', 'y'];
+        this.labels = options.labels || (isVertical ? ['Radius', 'Y (Height)'] : ['X (Width)', 'Z (Depth)']);
+        this.colors = options.colors || ['#ff4d4d', isVertical ? '#4dff4d' : '#4d4dff'];
+        this.origin = options.origin || (isVertical ? { x: 0, y: 0 } : { x: 0.5, y: 0.5 });
+        this.defaultCurve = options.defaultCurve || (isVertical ? defaultCurves.vertical : defaultCurves.horizontal);
+        this.closable = options.closable || false;
         this.theme = 'dark';
         this.pulse = 0;
         this.animationFrame = null;
@@ -36,6 +65,7 @@ export class CurveEditor {
         this.dragHandle = 0;
         this.dragIndex = -1;
         this.hoverIndex = -1;
+        this.menu = null;
 
         this.isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
         this.hitRadius = this.isTouchDevice ? 15 : 8;
@@ -55,19 +85,287 @@ export class CurveEditor {
      * @private
      */
     initializeDefaultCurve() {
-        if (this.isVertical) {
-            this.points = [
-                { x: 0.5, y: 0, cp1: { dx: -0.1, dy: 0 }, cp2: { dx: 0.1, dy: 0 } },
-                { x: 0.8, y: 0.5, cp1: { dx: 0, dy: -0.1 }, cp2: { dx: 0, dy: 0.1 } },
-                { x: 0.5, y: 1, cp1: { dx: 0.1, dy: 0 }, cp2: { dx: -0.1, dy: 0 } }
-            ];
+        this.points = this.defaultCurve.map(p => ({ ...p, cp1: { ...p.cp1 }, cp2: { ...p.cp2 } }));
+        if (this.defaultCurve.closed) this.points.closed = true;
+    }
+
+    /**
+     * Returns the coordinates of a point on the two axes shown by this editor.
+     * @param {Object} p - Curve point
+     * @returns {{x: number, y: number}} Normalized 2D coordinates
+     * @private
+     */
+    planar(p) {
+        const [a, b] = this.axes;
+        return { x: p[a], y: p[b] };
+    }
+
+    /**
+     * Returns the normalized 2D position of one of a point's handles.
+     * @param {Object} p - Curve point
+     * @param {'cp1'|'cp2'} handle - Which handle
+     * @returns {{x: number, y: number}} Normalized 2D coordinates
+     * @private
+     */
+    handlePosition(p, handle) {
+        const [a, b] = this.axes;
+        return { x: p[a] + p[handle]['d' + a], y: p[b] + p[handle]['d' + b] };
+    }
+
+    /**
+     * Creates a new point at a normalized 2D position.
+     * Coordinates on axes this editor does not show are copied from the last point.
+     * @param {{x: number, y: number}} normalized - Normalized 2D position
+     * @returns {Object} The new point
+     * @private
+     */
+    createPointAt(normalized) {
+        const [a, b] = this.axes;
+        const last = this.points[this.points.length - 1];
+        const point = last ? { ...last, cp1: { ...last.cp1 }, cp2: { ...last.cp2 } } : { cp1: {}, cp2: {} };
+
+        delete point.mode;
+        for (const key of Object.keys(point.cp1)) point.cp1[key] = 0;
+        for (const key of Object.keys(point.cp2)) point.cp2[key] = 0;
+        point[a] = normalized.x;
+        point[b] = normalized.y;
+        point.cp1['d' + a] = -0.1;
+        point.cp1['d' + b] = 0;
+        point.cp2['d' + a] = 0.1;
+        point.cp2['d' + b] = 0;
+        return point;
+    }
+
+    /**
+     * Adds a point where the user double-clicked or long-pressed. The point goes into
+     * the segment closest to that position, which is split with De Casteljau's
+     * algorithm at the nearest curve parameter: the curve keeps its shape and the
+     * new point and its neighbors get the handles of the two halves. Positions
+     * nearest to an end of an open curve extend it from that end instead.
+     * @param {{x: number, y: number}} pos - Canvas position
+     * @returns {number} Index of the new point
+     * @private
+     */
+    insertPointAt(pos) {
+        const normalized = this.fromCanvas(pos.x, pos.y);
+        const nearest = this.points.length >= 2 ? this.nearestOnCurve(pos) : null;
+        const closed = Boolean(this.points.closed);
+
+        if (!closed && nearest && nearest.index === 0 && nearest.t === 0) {
+            this.points.unshift(this.createPointAt(normalized));
+            return 0;
+        }
+        if (!nearest || (!closed && nearest.index === this.points.length - 2 && nearest.t === 1)) {
+            this.points.push(this.createPointAt(normalized));
+            return this.points.length - 1;
+        }
+
+        return insertSplit(this.points, nearest.index, nearest.t);
+    }
+
+    /**
+     * Switches a point's handle mode. The handles are adjusted to the new mode:
+     * symmetric mirrors the outgoing handle, aligned turns the incoming handle
+     * opposite the outgoing one, auto recomputes both and free keeps them as they are.
+     * @param {number} index - Point index
+     * @param {'symmetric'|'aligned'|'free'|'auto'} mode - New handle mode
+     */
+    setHandleMode(index, mode) {
+        const p = this.points[index];
+        if (!p) return;
+        p.mode = mode;
+
+        const keys = Object.keys(p.cp2);
+        if (mode === 'symmetric') {
+            for (const key of keys) p.cp1[key] = -p.cp2[key];
+        } else if (mode === 'aligned') {
+            const length1 = Math.hypot(...keys.map(key => p.cp1[key] || 0));
+            const length2 = Math.hypot(...keys.map(key => p.cp2[key]));
+            if (length2 > 0) {
+                for (const key of keys) p.cp1[key] = -p.cp2[key] / length2 * length1;
+            }
+        }
+        this.updateAutoHandles();
+        this.draw();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Recomputes the handles of auto-smooth points from their neighbors, like a
+     * Catmull-Rom spline: the handles are parallel to the line between the previous
+     * and next points and a sixth of its length. End points of open curves aim a
+     * third of the way to their only neighbor. Called whenever points move, appear or disappear.
+     * @private
+     */
+    updateAutoHandles() {
+        const axes = ['x', 'y', 'z'];
+        this.points.forEach((p, i) => {
+            if (p.mode !== 'auto') return;
+            const count = this.points.length;
+            const wrap = this.points.closed && count > 2;
+            const prev = this.points[wrap ? (i + count - 1) % count : i - 1] || p;
+            const next = this.points[wrap ? (i + 1) % count : i + 1] || p;
+            const scale = (prev === p || next === p) ? 1 / 3 : 1 / 6;
+
+            for (const axis of axes) {
+                if (!(axis in p)) continue;
+                const d = 'd' + axis;
+                const tangent = (next[axis] - prev[axis]) * scale;
+                p.cp1[d] = -tangent;
+                p.cp2[d] = tangent;
+            }
+        });
+    }
+
+    /**
+     * Removes a point, keeping at least two.
+     * @param {number} index - Point index
+     * @private
+     */
+    removePoint(index) {
+        if (index < 0 || index >= this.points.length || this.points.length <= 2) return;
+        this.points.splice(index, 1);
+        this.selectedPoint = -1;
+        this.hoverIndex = -1;
+        this.updateAutoHandles();
+        this.draw();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Closes the curve into a loop, or opens it again by removing the segment from
+     * the last point back to the first. When closing, a last point lying on the
+     * first one (the way closed shapes used to be drawn) is merged into it.
+     * @param {boolean} closed - Whether the curve should be closed
+     */
+    setClosed(closed) {
+        if (Boolean(this.points.closed) === closed) return;
+
+        if (closed) {
+            const first = this.points[0];
+            const last = this.points[this.points.length - 1];
+            const overlap = ['x', 'y', 'z'].every(axis => Math.abs((first[axis] || 0) - (last[axis] || 0)) < 1e-6);
+            if (this.points.length > 2 && overlap) {
+                first.cp1 = last.cp1;
+                this.points.pop();
+            }
+            this.points.closed = true;
         } else {
-            this.points = [
-                { x: 0, y: 0.5, cp1: { dx: 0, dy: 0.2 }, cp2: { dx: 0, dy: -0.2 } },
-                { x: 0.5, y: 0.1, cp1: { dx: -0.2, dy: 0 }, cp2: { dx: 0.2, dy: 0 } },
-                { x: 1, y: 0.5, cp1: { dx: 0, dy: -0.2 }, cp2: { dx: 0, dy: 0.2 } }
-            ];
+            delete this.points.closed;
+        }
+
+        this.selectedPoint = Math.min(this.selectedPoint, this.points.length - 1);
+        this.hoverIndex = -1;
+        this.updateAutoHandles();
+        this.draw();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Opens the editor menu. On a point it lists the point's handle modes and a
+     * delete entry; closable curves also get an entry to close or open the curve.
+     * @param {number} index - Point index, or -1 when not on a point
+     * @param {{x: number, y: number}} pos - Canvas position to open at
+     * @private
+     */
+    openMenu(index, pos) {
+        this.closeMenu();
+        const p = this.points[index];
+        if (!p && !this.closable) return;
+        const menu = document.createElement('div');
+        menu.className = 'curve-menu';
+
+        const addItem = (label, shortcut, onSelect, className = '') => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.innerHTML = `<span>${label}</span><kbd>${shortcut}</kbd>`;
+            button.addEventListener('click', () => {
+                this.closeMenu();
+                onSelect();
+            });
+            menu.appendChild(button);
+            return button;
+        };
+
+        if (p) {
+            const current = p.mode || 'symmetric';
+            HANDLE_MODES.forEach(({ mode, label }, i) => {
+                addItem(label, i + 1, () => this.setHandleMode(index, mode), mode === current ? 'active' : '');
+            });
+        }
+        if (this.closable) {
+            const closed = Boolean(this.points.closed);
+            addItem(closed ? 'Open Curve' : 'Close Curve', 'C', () => this.setClosed(!closed));
+        }
+        if (p) {
+            const remove = addItem('Delete Point', 'Del', () => this.removePoint(index), 'danger');
+            remove.disabled = this.points.length <= 2;
+        }
+
+        this.canvas.parentElement.appendChild(menu);
+        // Keep the menu inside the editor
+        const left = Math.min(pos.x + 8, this.canvas.width - menu.offsetWidth - 4);
+        const top = Math.min(pos.y + 8, this.canvas.height - menu.offsetHeight - 4);
+        menu.style.left = `${Math.max(4, left)}px`;
+        menu.style.top = `${Math.max(4, top)}px`;
+        this.menu = menu;
+    }
+
+    /**
+     * Closes the editor menu if it is open.
+     * @private
+     */
+    closeMenu() {
+        if (this.menu) {
+            this.menu.remove();
+            this.menu = null;
+        }
+    }
+
+    /**
+     * Finds the curve position closest to a canvas position, measured on the canvas.
+     * Each segment is sampled coarsely and the best sample refined by bisection.
+     * @param {{x: number, y: number}} pos - Canvas position
+     * @returns {{index: number, t: number}} Segment (index of its first point) and parameter on it [0-1]
+     * @private
+     */
+    nearestOnCurve(pos) {
+        const [a, b] = this.axes;
+        const samples = 32;
+        let best = { index: 0, t: 0, dist: Infinity };
+
+        for (let i = 0; i < segmentCount(this.points); i++) {
+            const pA = this.points[i];
+            const pB = this.points[(i + 1) % this.points.length];
+            const dist = t => this.distSq(pos, this.toCanvas({
+                x: cubicBezier(t, pA[a], pA[a] + pA.cp2['d' + a], pB[a] + pB.cp1['d' + a], pB[a]),
+                y: cubicBezier(t, pA[b], pA[b] + pA.cp2['d' + b], pB[b] + pB.cp1['d' + b], pB[b])
+            }));
+
+            let t = 0;
+            let d = dist(0);
+            for (let s = 1; s <= samples; s++) {
+                const ds = dist(s / samples);
+                if (ds < d) {
+                    d = ds;
+                    t = s / samples;
+                }
+            }
+            // Halve the search step around the best sample
+            for (let step = 0.5 / samples; step > 1e-5; step /= 2) {
+                for (const candidate of [t - step, t + step]) {
+                    if (candidate < 0 || candidate > 1) continue;
+                    const dc = dist(candidate);
+                    if (dc < d) {
+                        d = dc;
+                        t = candidate;
+                    }
+                }
+            }
+            if (d < best.dist) best = { index: i, t, dist: d };
         }
+        return { index: best.index, t: best.t };
     }
 
     /**
@@ -80,6 +378,15 @@ export class CurveEditor {
         window.addEventListener('mouseup', this.onMouseUp.bind(this));
         this.canvas.addEventListener('dblclick', this.onDoubleClick.bind(this));
         this.canvas.addEventListener('contextmenu', this.onContextMenu.bind(this));
+        this.canvas.addEventListener('keydown', this.onKeyDown.bind(this));
+        // Focusable, so the selected point can be changed from the keyboard
+        this.canvas.tabIndex = 0;
+
+        const closeOutside = e => {
+            if (this.menu && !(e.target instanceof Node && this.menu.contains(e.target))) this.closeMenu();
+        };
+        window.addEventListener('mousedown', closeOutside);
+        window.addEventListener('touchstart', closeOutside);
 
         this.canvas.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
         this.canvas.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
@@ -147,20 +454,20 @@ export class CurveEditor {
     }
 
     /**
-     * Handles long-press gesture to add a new point (mobile alternative to double-click).
+     * Handles long-press gesture: on a point it opens the editor menu (mobile alternative
+     * to right-click), elsewhere it adds a new point (mobile alternative to double-click).
      * @param {{x: number, y: number}} pos - Canvas position
      * @private
      */
     onLongPress(pos) {
-        const normalized = this.fromCanvas(pos.x, pos.y);
-
-        this.points.push({
-            ...normalized,
-            cp1: { dx: -0.1, dy: 0 },
-            cp2: { dx: 0.1, dy: 0 }
-        });
-
-        this.selectedPoint = this.points.length - 1;
+        if (this.dragIndex !== -1 && this.dragHandle === 0) {
+            const index = this.dragIndex;
+            this.dragIndex = -1;
+            this.openMenu(index, pos);
+            return;
+        }
+        this.selectedPoint = this.insertPointAt(pos);
+        this.updateAutoHandles();
         this.draw();
         if (this.onChange) this.onChange();
 
@@ -266,29 +573,27 @@ export class CurveEditor {
      */
     drawAxes() {
         const { width, height } = this.canvas;
-        const bx = this.isVertical ? 0 : 0.5;
-        const by = this.isVertical ? 0 : 0.5;
-        const baseline = this.toCanvas({ x: bx, y: by });
+        const baseline = this.toCanvas(this.origin);
 
-        this.ctx.strokeStyle = this.isVertical ? '#4dff4d' : '#4d4dff';
+        this.ctx.strokeStyle = this.colors[1];
         this.ctx.lineWidth = 2;
         this.ctx.beginPath();
         this.ctx.moveTo(baseline.x, TOP_MARGIN);
         this.ctx.lineTo(baseline.x, height - BOTTOM_MARGIN);
         this.ctx.stroke();
 
-        this.ctx.strokeStyle = '#ff4d4d';
+        this.ctx.strokeStyle = this.colors[0];
         this.ctx.beginPath();
         this.ctx.moveTo(LEFT_MARGIN, baseline.y);
         this.ctx.lineTo(width - RIGHT_MARGIN, baseline.y);
         this.ctx.stroke();
 
         this.ctx.font = '10px Outfit';
-        this.ctx.fillStyle = this.isVertical ? '#4dff4d' : '#4d4dff';
-        this.ctx.fillText(this.isVertical ? 'Y (Height)' : 'Z (Depth)', baseline.x - 40, TOP_MARGIN);
+        this.ctx.fillStyle = this.colors[1];
+        this.ctx.fillText(this.labels[1], baseline.x - 40, TOP_MARGIN);
 
-        this.ctx.fillStyle = '#ff4d4d';
-        this.ctx.fillText(this.isVertical ? 'Radius' : 'X (Width)', width - RIGHT_MARGIN, baseline.y + 20);
+        this.ctx.fillStyle = this.colors[0];
+        this.ctx.fillText(this.labels[0], width - RIGHT_MARGIN, baseline.y + 20);
     }
 
     /**
@@ -296,9 +601,7 @@ export class CurveEditor {
      * @private
      */
     drawOriginGlow() {
-        const bx = this.isVertical ? 0 : 0.5;
-        const by = this.isVertical ? 0 : 0.5;
-        const baseline = this.toCanvas({ x: bx, y: by });
+        const baseline = this.toCanvas(this.origin);
 
         this.ctx.beginPath();
         const pulseFactor = Math.sin(this.pulse) * 5;
@@ -327,15 +630,17 @@ export class CurveEditor {
         this.ctx.shadowBlur = 10;
         this.ctx.shadowColor = 'rgba(124, 77, 255, 0.4)';
 
+        const [a, b] = this.axes;
         const steps = 150;
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
-            const x = sampleBezierSpline(t, this.points, 'x');
-            const y = sampleBezierSpline(t, this.points, 'y');
+            const x = sampleBezierSpline(t, this.points, a);
+            const y = sampleBezierSpline(t, this.points, b);
             const pos = this.toCanvas({ x, y });
             if (i === 0) this.ctx.moveTo(pos.x, pos.y);
             else this.ctx.lineTo(pos.x, pos.y);
         }
+        if (this.points.closed) this.ctx.closePath();
         this.ctx.stroke();
         this.ctx.shadowBlur = 0;
     }
@@ -348,15 +653,15 @@ export class CurveEditor {
         const isLight = this.theme === 'light';
 
         this.points.forEach((p, i) => {
-            const pos = this.toCanvas(p);
+            const pos = this.toCanvas(this.planar(p));
             const isHovered = i === this.hoverIndex;
             const isDragged = i === this.dragIndex;
             const isSelected = i === this.selectedPoint;
             const isActive = isHovered || isDragged || isSelected;
 
             if (isActive) {
-                const cp1Pos = this.toCanvas({ x: p.x + p.cp1.dx, y: p.y + p.cp1.dy });
-                const cp2Pos = this.toCanvas({ x: p.x + p.cp2.dx, y: p.y + p.cp2.dy });
+                const cp1Pos = this.toCanvas(this.handlePosition(p, 'cp1'));
+                const cp2Pos = this.toCanvas(this.handlePosition(p, 'cp2'));
 
                 this.ctx.setLineDash([2, 4]);
                 this.ctx.strokeStyle = isLight ? 'rgba(0,0,0,0.3)' : 'rgba(255,255,255,0.3)';
@@ -380,9 +685,22 @@ export class CurveEditor {
                 this.ctx.fill();
             }
 
+            // The marker shows the handle mode: squares for symmetric and aligned
+            // points, diamonds for free corners and circles for auto-smooth points
             this.ctx.beginPath();
             const size = (isHovered || isDragged) ? 10 : 8;
-            this.ctx.rect(pos.x - size / 2, pos.y - size / 2, size, size);
+            if (p.mode === 'free') {
+                const r = size * 0.7;
+                this.ctx.moveTo(pos.x, pos.y - r);
+                this.ctx.lineTo(pos.x + r, pos.y);
+                this.ctx.lineTo(pos.x, pos.y + r);
+                this.ctx.lineTo(pos.x - r, pos.y);
+                this.ctx.closePath();
+            } else if (p.mode === 'auto') {
+                this.ctx.arc(pos.x, pos.y, size * 0.6, 0, Math.PI * 2);
+            } else {
+                this.ctx.rect(pos.x - size / 2, pos.y - size / 2, size, size);
+            }
             this.ctx.fillStyle = isSelected ? (isLight ? '#007aff' : '#fff') : (isLight ? '#666' : '#bbb');
 
             if (isSelected) {
@@ -419,6 +737,7 @@ export class CurveEditor {
     onMouseDown(e) {
         if (e.button !== undefined && e.button !== 0) return;
         const pos = this.getMousePos(e);
+        if (this.canvas.focus) this.canvas.focus({ preventScroll: true });
 
         this.dragIndex = -1;
         this.dragHandle = 0;
@@ -426,7 +745,7 @@ export class CurveEditor {
 
         for (let i = 0; i < this.points.length; i++) {
             const p = this.points[i];
-            const pCanvas = this.toCanvas(p);
+            const pCanvas = this.toCanvas(this.planar(p));
 
             if (this.distSq(pos, pCanvas) < hitRadiusSq) {
                 this.dragIndex = i;
@@ -436,13 +755,13 @@ export class CurveEditor {
             }
 
             if (i === this.selectedPoint) {
-                const cp1 = this.toCanvas({ x: p.x + p.cp1.dx, y: p.y + p.cp1.dy });
+                const cp1 = this.toCanvas(this.handlePosition(p, 'cp1'));
                 if (this.distSq(pos, cp1) < hitRadiusSq) {
                     this.dragIndex = i;
                     this.dragHandle = 1;
                     break;
                 }
-                const cp2 = this.toCanvas({ x: p.x + p.cp2.dx, y: p.y + p.cp2.dy });
+                const cp2 = this.toCanvas(this.handlePosition(p, 'cp2'));
                 if (this.distSq(pos, cp2) < hitRadiusSq) {
                     this.dragIndex = i;
                     this.dragHandle = 2;
@@ -471,21 +790,14 @@ export class CurveEditor {
      */
     onDoubleClick(e) {
         const pos = this.getMousePos(e);
-        const normalized = this.fromCanvas(pos.x, pos.y);
-
-        this.points.push({
-            ...normalized,
-            cp1: { dx: -0.1, dy: 0 },
-            cp2: { dx: 0.1, dy: 0 }
-        });
-
-        this.selectedPoint = this.points.length - 1;
+        this.selectedPoint = this.insertPointAt(pos);
+        this.updateAutoHandles();
         this.draw();
         if (this.onChange) this.onChange();
     }
 
     /**
-     * Handles right-click to remove a point.
+     * Handles right-click to open the editor menu.
      * @param {MouseEvent} e - Mouse event
      * @private
      */
@@ -493,22 +805,55 @@ export class CurveEditor {
         e.preventDefault();
         const pos = this.getMousePos(e);
 
-        let toRemove = -1;
+        let target = -1;
         const hitRadiusSq = 225;
         for (let i = 0; i < this.points.length; i++) {
-            const p = this.toCanvas(this.points[i]);
+            const p = this.toCanvas(this.planar(this.points[i]));
             const dx = pos.x - p.x;
             const dy = pos.y - p.y;
             if (dx * dx + dy * dy < hitRadiusSq) {
-                toRemove = i;
+                target = i;
                 break;
             }
         }
 
-        if (toRemove !== -1 && this.points.length > 2) {
-            this.points.splice(toRemove, 1);
+        if (target !== -1) {
+            this.selectedPoint = target;
             this.draw();
-            if (this.onChange) this.onChange();
+        }
+        this.openMenu(target, pos);
+    }
+
+    /**
+     * Handles keyboard shortcuts: 1-4 switch the selected point's handle mode
+     * (symmetric, aligned, free, auto smooth), Delete or Backspace removes it and
+     * C closes or opens a closable curve.
+     * @param {KeyboardEvent} e - Keyboard event
+     * @private
+     */
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            this.closeMenu();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this.closable && e.key.toLowerCase() === 'c') {
+            e.preventDefault();
+            this.closeMenu();
+            this.setClosed(!this.points.closed);
+            return;
+        }
+        if (this.selectedPoint === -1) return;
+
+        const modeIndex = Number(e.key) - 1;
+        if (HANDLE_MODES[modeIndex]) {
+            e.preventDefault();
+            this.closeMenu();
+            this.setHandleMode(this.selectedPoint, HANDLE_MODES[modeIndex].mode);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.closeMenu();
+            this.removePoint(this.selectedPoint);
         }
     }
 
@@ -523,21 +868,34 @@ export class CurveEditor {
         if (this.dragIndex !== -1) {
             const normalized = this.fromCanvas(pos.x, pos.y);
             const p = this.points[this.dragIndex];
+            const [a, b] = this.axes;
+            const da = 'd' + a;
+            const db = 'd' + b;
 
             if (this.dragHandle === 0) {
-                p.x = Math.max(0, Math.min(1, normalized.x));
-                p.y = Math.max(0, Math.min(1, normalized.y));
-            } else if (this.dragHandle === 1) {
-                p.cp1.dx = normalized.x - p.x;
-                p.cp1.dy = normalized.y - p.y;
-                p.cp2.dx = -p.cp1.dx;
-                p.cp2.dy = -p.cp1.dy;
-            } else if (this.dragHandle === 2) {
-                p.cp2.dx = normalized.x - p.x;
-                p.cp2.dy = normalized.y - p.y;
-                p.cp1.dx = -p.cp2.dx;
-                p.cp1.dy = -p.cp2.dy;
+                p[a] = Math.max(0, Math.min(1, normalized.x));
+                p[b] = Math.max(0, Math.min(1, normalized.y));
+            } else {
+                const handle = this.dragHandle === 1 ? p.cp1 : p.cp2;
+                const opposite = this.dragHandle === 1 ? p.cp2 : p.cp1;
+                // Shaping an auto-smooth point by hand keeps it smooth, with its own handles
+                if (p.mode === 'auto') p.mode = 'aligned';
+
+                handle[da] = normalized.x - p[a];
+                handle[db] = normalized.y - p[b];
+                if (p.mode === 'aligned') {
+                    const length = Math.hypot(opposite[da], opposite[db]);
+                    const dragged = Math.hypot(handle[da], handle[db]);
+                    if (dragged > 0) {
+                        opposite[da] = -handle[da] / dragged * length;
+                        opposite[db] = -handle[db] / dragged * length;
+                    }
+                } else if (p.mode !== 'free') {
+                    opposite[da] = -handle[da];
+                    opposite[db] = -handle[db];
+                }
             }
+            this.updateAutoHandles();
 
             this.draw();
             if (this.onChange) this.onChange();
@@ -545,7 +903,7 @@ export class CurveEditor {
             this.hoverIndex = -1;
             const hitRadiusSq = 225;
             for (let i = 0; i < this.points.length; i++) {
-                const p = this.toCanvas(this.points[i]);
+                const p = this.toCanvas(this.planar(this.points[i]));
                 if (this.distSq(pos, p) < hitRadiusSq) {
                     this.hoverIndex = i;
                     break;
@@ -564,10 +922,24 @@ export class CurveEditor {
         this.draw();
     }
 
+    /**
+     * Replaces the edited curve and clears the selection.
+     * The array is used directly, so edits are visible to its other owners.
+     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Curve points
+     */
+    setPoints(points) {
+        this.closeMenu();
+        this.points = points;
+        this.selectedPoint = -1;
+        this.dragIndex = -1;
+        this.draw();
+    }
+
     /**
      * Resets the curve to its default shape.
      */
     reset() {
+        this.closeMenu();
         this.initializeDefaultCurve();
         this.selectedPoint = -1;
         this.draw();
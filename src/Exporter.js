@@ -1,11 +1,18 @@
 /**
- * @fileoverview Export utilities for point clouds to PNG, SVG, and OBJ formats.
+ * @fileoverview Export utilities for point clouds to PNG, SVG, OBJ, and PLY formats.
  * Handles 3D-to-2D projection for SVG export using the same transformation pipeline as WebGPU renderer.
+ *
+ * The `build*` methods only produce file contents and never touch the DOM, so they
+ * can be used from Node (see `bin/pcg.js`). The `to*` methods wrap them and trigger
+ * a browser download. Points can be given as a `PointBuffer` or as an array of
+ * `{x, y, z, color}` objects, which is converted first.
  */
 
+import { PointBuffer, POINT_STRIDE } from './PointBuffer.js';
+
 /**
  * Provides static methods for exporting point clouds to various file formats.
- * Supports PNG (raster), SVG (vector), and OBJ (3D model) exports.
+ * Supports PNG (raster), SVG (vector), OBJ and PLY (3D model) exports.
  * 
  * @class
  */
@@ -41,11 +48,11 @@ export class Exporter {
     }
 
     /**
-     * Exports the point cloud as an SVG file with accurate 3D-to-2D projection.
+     * Builds an SVG document of the point cloud with accurate 3D-to-2D projection.
      * Uses the same Model-View-Projection transformation pipeline as the WebGPU renderer
      * to ensure the exported SVG matches the viewport appearance exactly.
      * 
-     * @param {Array<{x: number, y: number, z: number, color: string}>} points - The 3D points to export
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The 3D points to export
      * @param {number} angleX - Rotation angle around X axis in radians
      * @param {number} angleY - Rotation angle around Y axis in radians
      * @param {number} zoom - Zoom factor
@@ -56,9 +63,9 @@ export class Exporter {
      * @param {number} radius - Point radius in pixels
      * @param {string} bgColor - Background color as hex string
      * @param {boolean} bgTransparent - Whether the background should be transparent
-     * @param {string} [filename='point-cloud.svg'] - The filename to save as
+     * @returns {string} The SVG markup
      */
-    static toSVG(points, angleX, angleY, zoom, offsetX, offsetY, width, height, radius, bgColor, bgTransparent, filename = 'point-cloud.svg') {
+    static buildSVG(points, angleX, angleY, zoom, offsetX, offsetY, width, height, radius, bgColor, bgTransparent) {
         const aspect = width / height;
 
         const rotY = this.mat4RotateY(angleY);
@@ -77,10 +84,13 @@ export class Exporter {
         const mvMat = this.mat4Multiply(viewMat, modelMat);
         const mvpMat = this.mat4Multiply(projMat, mvMat);
 
+        const buffer = PointBuffer.from(points);
+        const d = buffer.data;
         const transformed = [];
 
-        for (const p of points) {
-            const v = [p.x, p.y, p.z, 1.0];
+        for (let i = 0; i < buffer.length; i++) {
+            const o = i * POINT_STRIDE;
+            const v = [d[o], d[o + 1], d[o + 2], 1.0];
             const out = this.vec4TransformMat4(v, mvpMat);
 
             if (out[3] === 0) continue;
@@ -102,7 +112,7 @@ export class Exporter {
                 y: screenY,
                 r: radius * scale,
                 zDepth: ndc.z,
-                color: p.color
+                color: buffer.color(i)
             });
         }
 
@@ -130,28 +140,210 @@ export class Exporter {
         svgContent += `</g>\n`;
         svgContent += `</svg>`;
 
+        return svgContent;
+    }
+
+    /**
+     * Exports the point cloud as an SVG file.
+     * Takes the same view arguments as {@link Exporter.buildSVG}.
+     * 
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The 3D points to export
+     * @param {number} angleX - Rotation angle around X axis in radians
+     * @param {number} angleY - Rotation angle around Y axis in radians
+     * @param {number} zoom - Zoom factor
+     * @param {number} offsetX - Pan offset in X direction
+     * @param {number} offsetY - Pan offset in Y direction
+     * @param {number} width - Viewport width in pixels
+     * @param {number} height - Viewport height in pixels
+     * @param {number} radius - Point radius in pixels
+     * @param {string} bgColor - Background color as hex string
+     * @param {boolean} bgTransparent - Whether the background should be transparent
+     * @param {string} [filename='point-cloud.svg'] - The filename to save as
+     */
+    static toSVG(points, angleX, angleY, zoom, offsetX, offsetY, width, height, radius, bgColor, bgTransparent, filename = 'point-cloud.svg') {
+        const svgContent = this.buildSVG(points, angleX, angleY, zoom, offsetX, offsetY, width, height, radius, bgColor, bgTransparent);
         const blob = new Blob([svgContent], { type: 'image/svg+xml;charset=utf-8' });
         this.downloadBlob(blob, filename);
     }
 
+    /**
+     * Builds an OBJ file with vertex colors.
+     * Each point becomes a vertex with RGB color data, followed by a `vn` line
+     * with its normal when it has one.
+     * 
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The points to export
+     * @returns {string} The OBJ file contents
+     */
+    static buildOBJ(points) {
+        const buffer = PointBuffer.from(points);
+        let objContent = "# Point Cloud OBJ Export\n";
+
+        for (let i = 0; i < buffer.length; i++) {
+            objContent += this.objVertex(buffer, i);
+        }
+
+        return objContent;
+    }
+
+    /**
+     * Builds an OBJ file with one named object (`o`) per group, for scenes.
+     * 
+     * @param {Array<{name: string, points: Array}>} groups - Named point lists
+     * @returns {string} The OBJ file contents
+     */
+    static buildGroupedOBJ(groups) {
+        let objContent = "# Point Cloud OBJ Export\n";
+
+        for (const group of groups) {
+            objContent += `o ${group.name.replace(/\s+/g, '_')}\n`;
+            const buffer = PointBuffer.from(group.points);
+            for (let i = 0; i < buffer.length; i++) {
+                objContent += this.objVertex(buffer, i);
+            }
+        }
+
+        return objContent;
+    }
+
+    /**
+     * Formats one OBJ vertex line with its color, and its normal line if the buffer has normals.
+     * 
+     * @param {PointBuffer} points - The points
+     * @param {number} i - Index of the point
+     * @returns {string} The `v` line, followed by a `vn` line when there are normals
+     * @private
+     */
+    static objVertex(points, i) {
+        const [r, g, b] = this.pointRgb(points, i);
+        const position = this.formatPosition(points, i, false);
+        const vertex = `v ${position} ${(r / 255).toFixed(4)} ${(g / 255).toFixed(4)} ${(b / 255).toFixed(4)}\n`;
+        if (!points.hasNormals) return vertex;
+        const o = i * POINT_STRIDE;
+        const d = points.data;
+        return vertex + `vn ${d[o + 6].toFixed(4)} ${d[o + 7].toFixed(4)} ${d[o + 8].toFixed(4)}\n`;
+    }
+
+    /**
+     * Formats the position and, when exported, the normal of one vertex.
+     * 
+     * @param {PointBuffer} points - The points
+     * @param {number} i - Index of the point
+     * @param {boolean} normals - Whether to add the normal
+     * @returns {string} Space-separated values, without the colors
+     * @private
+     */
+    static formatPosition(points, i, normals) {
+        const d = points.data;
+        const o = i * POINT_STRIDE;
+        const position = `${d[o].toFixed(4)} ${d[o + 1].toFixed(4)} ${d[o + 2].toFixed(4)}`;
+        return normals ? `${position} ${d[o + 6].toFixed(4)} ${d[o + 7].toFixed(4)} ${d[o + 8].toFixed(4)}` : position;
+    }
+
+    /**
+     * Reads the color of one point as 8-bit channels.
+     * 
+     * @param {PointBuffer} points - The points
+     * @param {number} i - Index of the point
+     * @returns {[number, number, number]} RGB components in range [0, 255]
+     * @private
+     */
+    static pointRgb(points, i) {
+        const o = i * POINT_STRIDE + 3;
+        const d = points.data;
+        return [Math.round(d[o] * 255), Math.round(d[o + 1] * 255), Math.round(d[o + 2] * 255)];
+    }
+
     /**
      * Exports the point cloud as an OBJ file with vertex colors.
-     * Each point becomes a vertex with RGB color data.
      * 
-     * @param {Array<{x: number, y: number, z: number, color: string}>} points - The points to export
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The points to export
      * @param {string} [filename='point-cloud.obj'] - The filename to save as
      */
     static toOBJ(points, filename = 'point-cloud.obj') {
-        let objContent = "# Point Cloud OBJ Export\n";
+        const blob = new Blob([this.buildOBJ(points)], { type: 'text/plain;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
 
-        for (const p of points) {
-            const r = parseInt(p.color.substring(1, 3), 16) / 255;
-            const g = parseInt(p.color.substring(3, 5), 16) / 255;
-            const b = parseInt(p.color.substring(5, 7), 16) / 255;
-            objContent += `v ${p.x.toFixed(4)} ${p.y.toFixed(4)} ${p.z.toFixed(4)} ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}\n`;
+    /**
+     * Builds an ASCII PLY file with per-vertex 8-bit colors, and normals
+     * (`nx`, `ny`, `nz`) when every point has one.
+     * 
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The points to export
+     * @returns {string} The PLY file contents
+     */
+    static buildPLY(points) {
+        const buffer = PointBuffer.from(points);
+        const normals = buffer.hasNormals;
+        let plyContent = 'ply\n';
+        plyContent += 'format ascii 1.0\n';
+        plyContent += 'comment Point Cloud PLY Export\n';
+        plyContent += `element vertex ${buffer.length}\n`;
+        plyContent += 'property float x\nproperty float y\nproperty float z\n';
+        if (normals) plyContent += 'property float nx\nproperty float ny\nproperty float nz\n';
+        plyContent += 'property uchar red\nproperty uchar green\nproperty uchar blue\n';
+        plyContent += 'end_header\n';
+
+        for (let i = 0; i < buffer.length; i++) {
+            const [r, g, b] = this.pointRgb(buffer, i);
+            plyContent += `${this.formatPosition(buffer, i, normals)} ${r} ${g} ${b}\n`;
         }
 
-        const blob = new Blob([objContent], { type: 'text/plain;charset=utf-8' });
+        return plyContent;
+    }
+
+    /**
+     * Builds an ASCII PLY file for a scene. PLY has no groups, so every vertex
+     * gets an `object` index, and the header names the objects in comments.
+     * 
+     * @param {Array<{name: string, points: Array}>} groups - Named point lists
+     * @returns {string} The PLY file contents
+     */
+    static buildGroupedPLY(groups) {
+        const buffers = groups.map(group => PointBuffer.from(group.points));
+        const total = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+        const normals = total > 0 && buffers.every(buffer => buffer.hasNormals || buffer.length === 0);
+        let plyContent = 'ply\n';
+        plyContent += 'format ascii 1.0\n';
+        plyContent += 'comment Point Cloud PLY Export\n';
+        groups.forEach((group, index) => {
+            plyContent += `comment object ${index} ${group.name}\n`;
+        });
+        plyContent += `element vertex ${total}\n`;
+        plyContent += 'property float x\nproperty float y\nproperty float z\n';
+        if (normals) plyContent += 'property float nx\nproperty float ny\nproperty float nz\n';
+        plyContent += 'property uchar red\nproperty uchar green\nproperty uchar blue\n';
+        plyContent += 'property int object\n';
+        plyContent += 'end_header\n';
+
+        buffers.forEach((buffer, index) => {
+            for (let i = 0; i < buffer.length; i++) {
+                const [r, g, b] = this.pointRgb(buffer, i);
+                plyContent += `${this.formatPosition(buffer, i, normals)} ${r} ${g} ${b} ${index}\n`;
+            }
+        });
+
+        return plyContent;
+    }
+
+    /**
+     * Downloads text file contents built by one of the `build*` methods.
+     * 
+     * @param {string} content - File contents
+     * @param {string} filename - The filename to save as
+     */
+    static toTextFile(content, filename) {
+        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Exports the point cloud as an ASCII PLY file with vertex colors.
+     * 
+     * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The points to export
+     * @param {string} [filename='point-cloud.ply'] - The filename to save as
+     */
+    static toPLY(points, filename = 'point-cloud.ply') {
+        const blob = new Blob([this.buildPLY(points)], { type: 'text/plain;charset=utf-8' });
         this.downloadBlob(blob, filename);
     }
 
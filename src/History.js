@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Undo/redo history of application snapshots.
+ *
+ * Every entry holds a label and the snapshot taken after the change it
+ * describes; the first entry is the starting point. Undoing steps back to the
+ * previous snapshot and redoing steps forward again, while recording a new
+ * change drops the entries that were undone. Changes recorded in quick
+ * succession under the same label, such as the steps of a slider drag, are
+ * merged into one entry until the history is sealed (for example when the
+ * pointer is released).
+ *
+ * @example
+ * const history = new History(snapshot(), { onChange: renderList });
+ * history.record('Change Density U', snapshot(), true);
+ * history.seal();
+ * restore(history.undo());
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - What the change did, shown in the history list
+ * @property {*} snapshot - State after the change
+ */
+
+/**
+ * Linear undo/redo stack of labelled snapshots.
+ *
+ * @class
+ */
+export class History {
+    /**
+     * Starts a history at the given state.
+     * @param {*} snapshot - Starting state
+     * @param {Object} [options] - Options
+     * @param {number} [options.limit=100] - Most entries kept; the oldest are dropped first
+     * @param {string} [options.label='Start'] - Label of the starting entry
+     * @param {function(History): void} [options.onChange] - Called whenever the entries or the position change
+     */
+    constructor(snapshot, { limit = 100, label = 'Start', onChange = () => {} } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.reset(snapshot, label);
+    }
+
+    /**
+     * The current entry.
+     * @type {HistoryEntry}
+     */
+    get current() {
+        return this.entries[this.index];
+    }
+
+    /** @type {boolean} Whether there is a change to undo */
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    /** @type {boolean} Whether there is an undone change to redo */
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Forgets every change and starts again from the given state.
+     * @param {*} snapshot - Starting state
+     * @param {string} [label='Start'] - Label of the starting entry
+     */
+    reset(snapshot, label = 'Start') {
+        /** @type {HistoryEntry[]} */
+        this.entries = [{ label, snapshot }];
+        this.index = 0;
+        this.open = false;
+        this.onChange(this);
+    }
+
+    /**
+     * Records a change. Entries that were undone are dropped.
+     * @param {string} label - What the change did
+     * @param {*} snapshot - State after the change
+     * @param {boolean} [mergeable=false] - Merge into the current entry if it has the same
+     *   label and the history has not been sealed since
+     */
+    record(label, snapshot, mergeable = false) {
+        if (mergeable && this.open && this.current.label === label && this.index > 0) {
+            this.current.snapshot = snapshot;
+        } else {
+            this.entries.splice(this.index + 1);
+            this.entries.push({ label, snapshot });
+            if (this.entries.length > this.limit) {
+                this.entries.splice(0, this.entries.length - this.limit);
+            }
+            this.index = this.entries.length - 1;
+        }
+        this.open = mergeable;
+        this.onChange(this);
+    }
+
+    /**
+     * Updates the current entry's snapshot without adding an entry, for changes
+     * that are not worth undoing on their own, such as a new selection.
+     * @param {*} snapshot - Current state
+     */
+    replace(snapshot) {
+        this.current.snapshot = snapshot;
+    }
+
+    /**
+     * Ends merging: the next change gets its own entry.
+     */
+    seal() {
+        this.open = false;
+    }
+
+    /**
+     * Steps back one entry.
+     * @returns {*} The snapshot to restore, or null when there is nothing to undo
+     */
+    undo() {
+        return this.canUndo ? this.goTo(this.index - 1) : null;
+    }
+
+    /**
+     * Steps forward one entry.
+     * @returns {*} The snapshot to restore, or null when there is nothing to redo
+     */
+    redo() {
+        return this.canRedo ? this.goTo(this.index + 1) : null;
+    }
+
+    /**
+     * Moves to any entry, keeping the entries after it so they can be redone.
+     * @param {number} index - Entry index
+     * @returns {*} The snapshot to restore
+     */
+    goTo(index) {
+        this.index = Math.max(0, Math.min(this.entries.length - 1, index));
+        this.open = false;
+        this.onChange(this);
+        return this.current.snapshot;
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Compact storage for generated point clouds.
+ *
+ * Points are stored interleaved in a single Float32Array, `POINT_STRIDE` floats
+ * per point: position (x, y, z), color (r, g, b in range [0, 1]) and unit
+ * normal (nx, ny, nz). The renderer uploads the array as it is and the
+ * exporters read it directly, so no object or color string is created per
+ * point. Callers that want the older `{x, y, z, nx, ny, nz, color}` objects can
+ * convert with {@link PointBuffer#toObjects}.
+ *
+ * @example
+ * const points = new PointBuffer();
+ * points.push(0, 0, 0, 1, 0.5, 0, 0, -1, 0);
+ * points.color(0); // '#ff8000'
+ * points.toObjects(); // [{ x: 0, y: 0, z: 0, nx: 0, ny: -1, nz: 0, color: '#ff8000' }]
+ */
+
+/** Floats per point: x, y, z, r, g, b, nx, ny, nz. */
+export const POINT_STRIDE = 9;
+
+/**
+ * Growable list of points in one interleaved Float32Array.
+ *
+ * @class
+ */
+export class PointBuffer {
+    /**
+     * Creates an empty buffer.
+     * @param {number} [capacity=0] - Number of points to make room for up front
+     */
+    constructor(capacity = 0) {
+        /** @type {Float32Array} Storage, possibly longer than the points it holds */
+        this.data = new Float32Array(Math.max(0, capacity) * POINT_STRIDE);
+        /** @type {number} Number of points */
+        this.length = 0;
+        /** @type {boolean} False when the points came without normals and store zeros instead */
+        this.hasNormals = true;
+        /** @type {Float32Array|null} Height factor of each point for the height gradient, kept by generated clouds */
+        this.heights = null;
+    }
+
+    /**
+     * The floats of the stored points, without any spare capacity.
+     * @type {Float32Array}
+     */
+    get array() {
+        return this.data.subarray(0, this.length * POINT_STRIDE);
+    }
+
+    /**
+     * Makes room for at least the given number of points.
+     * @param {number} capacity - Number of points
+     */
+    reserve(capacity) {
+        if (capacity * POINT_STRIDE <= this.data.length) return;
+        const data = new Float32Array(capacity * POINT_STRIDE);
+        data.set(this.array);
+        this.data = data;
+    }
+
+    /**
+     * Appends a point.
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} z - Z position
+     * @param {number} r - Red [0-1]
+     * @param {number} g - Green [0-1]
+     * @param {number} b - Blue [0-1]
+     * @param {number} [nx=0] - Normal X
+     * @param {number} [ny=0] - Normal Y
+     * @param {number} [nz=0] - Normal Z
+     */
+    push(x, y, z, r, g, b, nx = 0, ny = 0, nz = 0) {
+        if ((this.length + 1) * POINT_STRIDE > this.data.length) {
+            this.reserve(Math.max(64, this.length * 2));
+        }
+        const d = this.data;
+        const o = this.length * POINT_STRIDE;
+        d[o] = x;
+        d[o + 1] = y;
+        d[o + 2] = z;
+        d[o + 3] = r;
+        d[o + 4] = g;
+        d[o + 5] = b;
+        d[o + 6] = nx;
+        d[o + 7] = ny;
+        d[o + 8] = nz;
+        this.length++;
+    }
+
+    /**
+     * Drops the spare capacity, so `data` holds exactly the stored points.
+     * @returns {PointBuffer} This buffer
+     */
+    trim() {
+        if (this.data.length > this.length * POINT_STRIDE) {
+            this.data = this.data.slice(0, this.length * POINT_STRIDE);
+        }
+        return this;
+    }
+
+    /**
+     * Hex color of a point.
+     * @param {number} i - Point index
+     * @returns {string} Hex color (e.g., '#ff0000')
+     */
+    color(i) {
+        const o = i * POINT_STRIDE + 3;
+        const channel = c => Math.round(c * 255).toString(16).padStart(2, '0');
+        return `#${channel(this.data[o])}${channel(this.data[o + 1])}${channel(this.data[o + 2])}`;
+    }
+
+    /**
+     * One point as an object.
+     * @param {number} i - Point index
+     * @returns {{x: number, y: number, z: number, nx?: number, ny?: number, nz?: number, color: string}} The point;
+     *   the normal is left out when the buffer has none
+     */
+    point(i) {
+        const d = this.data;
+        const o = i * POINT_STRIDE;
+        const point = { x: d[o], y: d[o + 1], z: d[o + 2] };
+        if (this.hasNormals) {
+            point.nx = d[o + 6];
+            point.ny = d[o + 7];
+            point.nz = d[o + 8];
+        }
+        point.color = this.color(i);
+        return point;
+    }
+
+    /**
+     * Converts every point to an object, the form clouds had before typed storage.
+     * @returns {Array<{x: number, y: number, z: number, nx?: number, ny?: number, nz?: number, color: string}>} Points
+     */
+    toObjects() {
+        return Array.from({ length: this.length }, (_, i) => this.point(i));
+    }
+
+    /**
+     * Returns a moved copy of the points. Normals are turned with them; scales are
+     * uniform, so they only need the matrix's rotation and to be made unit length
+     * again. Tinted colors are rounded to 8 bits and clamped like exports expect.
+     *
+     * @param {number[]} m - Column-major 4x4 matrix
+     * @param {number[]|null} [tint=null] - RGB factors applied to the colors
+     * @returns {PointBuffer} The moved points
+     */
+    transformed(m, tint = null) {
+        const out = new PointBuffer(this.length);
+        out.length = this.length;
+        out.hasNormals = this.hasNormals;
+        const src = this.data;
+        const dst = out.data;
+        const tinted = tint && tint.some(t => t !== 1);
+
+        for (let o = 0; o < this.length * POINT_STRIDE; o += POINT_STRIDE) {
+            const x = src[o], y = src[o + 1], z = src[o + 2];
+            dst[o] = m[0] * x + m[4] * y + m[8] * z + m[12];
+            dst[o + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+            dst[o + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+
+            for (let c = 0; c < 3; c++) {
+                dst[o + 3 + c] = tinted
+                    ? Math.min(255, Math.round(Math.round(src[o + 3 + c] * 255) * tint[c])) / 255
+                    : src[o + 3 + c];
+            }
+
+            const nx = src[o + 6], ny = src[o + 7], nz = src[o + 8];
+            const tx = m[0] * nx + m[4] * ny + m[8] * nz;
+            const ty = m[1] * nx + m[5] * ny + m[9] * nz;
+            const tz = m[2] * nx + m[6] * ny + m[10] * nz;
+            const len = Math.hypot(tx, ty, tz) || 1;
+            dst[o + 6] = tx / len;
+            dst[o + 7] = ty / len;
+            dst[o + 8] = tz / len;
+        }
+        return out;
+    }
+
+    /**
+     * Wraps interleaved point data, such as a buffer sent back by the generator worker.
+     * @param {Float32Array} data - `POINT_STRIDE` floats per point
+     * @param {boolean} [hasNormals=true] - Whether the data holds normals
+     * @param {Float32Array|null} [heights=null] - Height factor of each point
+     * @returns {PointBuffer} Buffer using the given array as its storage
+     */
+    static fromData(data, hasNormals = true, heights = null) {
+        const buffer = new PointBuffer();
+        buffer.data = data;
+        buffer.length = Math.floor(data.length / POINT_STRIDE);
+        buffer.hasNormals = hasNormals;
+        buffer.heights = heights;
+        return buffer;
+    }
+
+    /**
+     * Builds a buffer from point objects.
+     * @param {Array<{x: number, y: number, z: number, nx?: number, ny?: number, nz?: number, color: string}>} points -
+     *   Points; the buffer has normals only if every point has one
+     * @returns {PointBuffer} The points in typed storage
+     */
+    static fromObjects(points) {
+        const buffer = new PointBuffer(points.length);
+        buffer.hasNormals = points.length > 0 && points.every(p => p.nx !== undefined);
+        for (const p of points) {
+            const value = parseInt(p.color.slice(1, 7), 16);
+            buffer.push(
+                p.x, p.y, p.z,
+                ((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255,
+                p.nx ?? 0, p.ny ?? 0, p.nz ?? 0
+            );
+        }
+        return buffer;
+    }
+
+    /**
+     * Returns the given points as a buffer, converting arrays of point objects.
+     * @param {PointBuffer|Array<Object>} points - Buffer or point objects
+     * @returns {PointBuffer} The same buffer, or a new one
+     */
+    static from(points) {
+        return points instanceof PointBuffer ? points : PointBuffer.fromObjects(points);
+    }
+
+    /**
+     * Joins several buffers into one.
+     * @param {PointBuffer[]} buffers - Buffers, in order
+     * @returns {PointBuffer} All their points
+     */
+    static concat(buffers) {
+        if (buffers.length === 1) return buffers[0];
+        const out = new PointBuffer(buffers.reduce((sum, b) => sum + b.length, 0));
+        out.hasNormals = buffers.length > 0 && buffers.every(b => b.hasNormals || b.length === 0);
+        for (const buffer of buffers) {
+            out.data.set(buffer.array, out.length * POINT_STRIDE);
+            out.length += buffer.length;
+        }
+        return out;
+    }
+}
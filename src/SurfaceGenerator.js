@@ -1,10 +1,104 @@
 /**
  * @fileoverview Point cloud surface generator using Bezier curve profiles.
  * Generates 3D point clouds from vertical and horizontal Bezier curves using
- * different geometry modes (sweep, revolution, sheet).
+ * the geometry modes registered in `modes.js` (sweep, revolution, sheet, ...).
  */
 
-import { cubicBezier, sampleBezierSpline, interpolateColor } from './math.js';
+import { sampleBezierSpline, hexToRgb, buildArcLengthTable, buildCurvatureTable, arcLengthToParameter } from './math.js';
+import { getMode, getModeDefaults } from './modes.js';
+import { createRandom, createStream, createNoise3D, fbm } from './noise.js';
+import { compileDeformers } from './deformers.js';
+import { PointBuffer, POINT_STRIDE } from './PointBuffer.js';
+
+/**
+ * Coordinate offsets that decorrelate the X, Y and Z displacement channels
+ * of coherent noise.
+ */
+const NOISE_CHANNEL_OFFSETS = [0, 31.416, 71.982];
+
+/** Number of points used to trace the outline of an end cap. */
+const CAP_OUTLINE_SAMPLES = 256;
+
+/** Number of points between two progress reports. */
+const PROGRESS_INTERVAL = 8192;
+
+/** Settings used where the parameters passed to `generate` leave them out. */
+const DEFAULT_PARAMS = {
+    gridWidth: 400,
+    gridDepth: 400,
+    seed: 1,
+    noiseType: 'white',
+    noiseFrequency: 3,
+    noiseOctaves: 4,
+    noiseAlongNormal: false,
+    spacing: 'parametric',
+    density: 30,
+    adaptive: false,
+    pointBudget: 20000,
+    adaptivity: 0.7,
+    distribution: 'grid',
+    minSpacing: 0,
+    fill: 'none',
+    fillRatio: 0.5,
+    fillShells: 5,
+    fillFalloff: 2,
+    capTop: false,
+    capBottom: false
+};
+
+/** Normal used where the surface has none (pointing up, since world Y points down). */
+const UP = Object.freeze({ x: 0, y: -1, z: 0 });
+
+/**
+ * Cross product of two vectors.
+ * @param {{x: number, y: number, z: number}} a - First vector
+ * @param {{x: number, y: number, z: number}} b - Second vector
+ * @returns {{x: number, y: number, z: number}} a × b
+ * @private
+ */
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+/**
+ * Creates the function that colors points for the given color settings. It
+ * writes the color of the point stored at an offset of a point array, reading
+ * the point's own depth and normal, and the height factor passed with it.
+ * @param {Object} params - Generation parameters (`color`, `color2`, `colorMode`, `gridDepth`)
+ * @returns {function(Float32Array, number, number): void} Called with the point data,
+ *   the offset of the point and its height factor
+ * @private
+ */
+function createPainter({ color, color2, colorMode, gridDepth }) {
+    const rgb1 = hexToRgb(color);
+    const rgb2 = hexToRgb(color2);
+
+    /** One channel of the gradient at t, rounded to 8 bits like a hex color. */
+    const gradient = (t, c) => Math.max(0, Math.min(255, Math.round(rgb1[c] + (rgb2[c] - rgb1[c]) * t))) / 255;
+
+    return (data, o, height) => {
+        if (colorMode === 'height' || colorMode === 'depth') {
+            const factor = colorMode === 'depth'
+                ? Math.max(0, Math.min(1, (data[o + 2] + (gridDepth / 2)) / gridDepth))
+                : height;
+            data[o + 3] = gradient(factor, 0);
+            data[o + 4] = gradient(factor, 1);
+            data[o + 5] = gradient(factor, 2);
+        } else if (colorMode === 'normal') {
+            data[o + 3] = Math.round((data[o + 6] + 1) * 127.5) / 255;
+            data[o + 4] = Math.round((data[o + 7] + 1) * 127.5) / 255;
+            data[o + 5] = Math.round((data[o + 8] + 1) * 127.5) / 255;
+        } else {
+            data[o + 3] = rgb1[0] / 255;
+            data[o + 4] = rgb1[1] / 255;
+            data[o + 5] = rgb1[2] / 255;
+        }
+    };
+}
 
 /**
  * Generates 3D point cloud surfaces from Bezier curve profiles.
@@ -13,8 +107,10 @@ import { cubicBezier, sampleBezierSpline, interpolateColor } from './math.js';
  * @class
  * @example
  * const generator = new SurfaceGenerator();
- * const points = generator.generate(verticalCurve, horizontalCurve, {
- *   density: 50,
+ * const points = generator.generate({ vertical: verticalCurve, horizontal: horizontalCurve }, {
+ *   mode: 'revolution',
+ *   densityU: 80,
+ *   densityV: 50,
  *   height: 1.5,
  *   color: '#ff0000',
  *   colorMode: 'height'
@@ -22,104 +118,881 @@ import { cubicBezier, sampleBezierSpline, interpolateColor } from './math.js';
  */
 export class SurfaceGenerator {
     constructor() {
-        this.points = [];
+        this.points = new PointBuffer();
     }
 
     /**
-     * Generates a 3D point cloud based on two Bezier curves and configuration parameters.
+     * Generates a 3D point cloud based on the editor curves and configuration parameters.
      * 
-     * Geometry Modes:
+     * The geometry mode is looked up in the mode registry (see `modes.js`), which
+     * provides the built-in modes:
      * - **sweep**: Sweeps the vertical profile along the horizontal curve
      * - **revolution**: Revolves the vertical profile around the Y axis
      * - **sheet**: Creates a height-mapped sheet using both curves
      * 
-     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} verticalCurve - Vertical profile curve points
-     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} horizontalCurve - Horizontal shape curve points
-     * @param {Object} params - Generation parameters
-     * @param {number} params.density - Number of points per axis (total points = density²)
+     * @param {Object} curves - Curves drawn in the editors
+     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} curves.vertical - Vertical profile curve points
+     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} curves.horizontal - Horizontal shape curve points
+     * @param {Array<{v: number, points: Array}>} [curves.shapeKeys] - Horizontal shapes placed at heights along V (loft mode)
+     * @param {Array<{x: number, y: number, z: number, cp1: Object, cp2: Object}>} [curves.path] - 3D path (path mode)
+     * @param {Object} params - Generation parameters, plus any parameters declared by the mode
+     * @param {string} [params.mode='sweep'] - Name of a registered geometry mode
+     * @param {number} [params.densityU] - Number of intervals along U (around the shape); defaults to `density`
+     * @param {number} [params.densityV] - Number of intervals along V (along the profile); defaults to `density`
+     * @param {number} [params.density=30] - Shared fallback for `densityU` and `densityV`
+     * @param {boolean} [params.adaptive=false] - Concentrate samples where the curves bend and fit the grid to `pointBudget`
+     * @param {number} [params.pointBudget=20000] - Approximate total number of points in adaptive mode
+     * @param {number} [params.adaptivity=0.7] - Share of adaptive samples driven by curvature [0-1]
+     * @param {'parametric'|'uniform'} [params.spacing='parametric'] - Sample curves by raw parameter, or evenly by arc length
      * @param {number} params.height - Height scale multiplier
      * @param {string} params.color - Primary hex color
      * @param {string} params.color2 - Secondary hex color for gradients
-     * @param {'solid'|'height'|'depth'} params.colorMode - Color application mode
+     * @param {'solid'|'height'|'depth'|'normal'} params.colorMode - Color application mode; `normal` maps
+     *   the surface normal's X, Y and Z to red, green and blue
      * @param {number} params.noise - Noise intensity for random jitter [0-1]
+     * @param {number} [params.seed=1] - Seed for the noise, so the same parameters give the same cloud
+     * @param {'white'|'perlin'|'fbm'} [params.noiseType='white'] - White jitter, Perlin displacement or fractal (fBm) displacement
+     * @param {number} [params.noiseFrequency=3] - Coherent noise features per grid width
+     * @param {number} [params.noiseOctaves=4] - Number of fBm octaves
+     * @param {boolean} [params.noiseAlongNormal=false] - Displace along the surface normal instead of in all directions
      * @param {number} [params.gridWidth=400] - Grid width in world units
      * @param {number} [params.gridDepth=400] - Grid depth in world units
-     * @returns {Array<{x: number, y: number, z: number, color: string}>} Generated point cloud
+     * @param {Array<Object>} [params.deformers=[]] - Deformer stack (twist, taper, bend, shear, ...) applied
+     *   to the mode's positions, see `deformers.js`
+     * @param {'grid'|'random'|'poisson'} [params.distribution='grid'] - Surface points on the regular (u, v) grid,
+     *   scattered at random in proportion to surface area, or scattered with a minimum spacing (Poisson disk).
+     *   The scattered distributions spend `pointBudget` and are reproducible from `seed`.
+     * @param {number} [params.minSpacing=0] - Minimum distance between Poisson-disk points in world units; 0 picks
+     *   one from the surface area and the budget
+     * @param {'none'|'uniform'|'shells'|'falloff'} [params.fill='none'] - Also scatter points inside solids
+     *   (modes with a `fill` function): evenly, on radial shells, or thinning out away from the surface
+     * @param {number} [params.fillRatio=0.5] - Share of `pointBudget` spent on the interior; the rest goes to the surface
+     * @param {number} [params.fillShells=5] - Number of inner shells for the `shells` fill
+     * @param {number} [params.fillFalloff=2] - How quickly the `falloff` fill thins out away from the surface
+     * @param {boolean} [params.capTop=false] - Fill the top cross-section (modes with `caps`)
+     * @param {boolean} [params.capBottom=false] - Fill the bottom cross-section (modes with `caps`)
+     * @param {function(number): void} [onProgress] - Called every few thousand points with the share of the
+     *   cloud generated so far [0-1]
+     * @returns {PointBuffer} Generated point cloud, with the color and unit surface normal of every point
      */
-    generate(verticalCurve, horizontalCurve, params) {
+    generate(curves, params, onProgress = null) {
+        const { mode, modeParams } = this.resolveParams(params);
         const {
-            density,
-            height: heightScale,
-            color,
-            color2,
-            colorMode,
+            adaptive,
+            pointBudget,
+            adaptivity,
             noise,
-            gridWidth = 400,
-            gridDepth = 400
-        } = params;
+            seed,
+            noiseType,
+            noiseFrequency,
+            noiseOctaves,
+            noiseAlongNormal,
+            spacing,
+            gridWidth,
+            gridDepth,
+            distribution,
+            minSpacing
+        } = modeParams;
 
-        this.points = [];
-        const steps = density;
+        const modeCurves = mode.prepare ? mode.prepare(curves, modeParams) : curves;
+        const deform = compileDeformers(modeParams.deformers, modeParams);
+        const position = this.surfacePosition(mode, modeCurves, modeParams, deform);
+        const random = createRandom(seed);
+        const noise3D = noiseType === 'white' ? null : createNoise3D(seed);
+        const jitter = noise * 20;
+        const noiseScale = noiseFrequency / gridWidth;
+        const paint = createPainter(modeParams);
 
-        for (let i = 0; i <= steps; i++) {
-            const v = i / steps;
-            const vRadius = sampleBezierSpline(v, verticalCurve, 'x');
-            const vHeight = sampleBezierSpline(v, verticalCurve, 'y');
-            const yRaw = vHeight * heightScale * (gridWidth / 2);
-
-            for (let j = 0; j <= steps; j++) {
-                const u = j / steps;
-
-                let finalX, finalY, finalZ;
-
-                if (window.geometryMode === 'revolution') {
-                    const angle = u * Math.PI * 2;
-                    const rBase = (gridWidth / 2) * vRadius;
-                    finalX = Math.cos(angle) * rBase;
-                    finalZ = Math.sin(angle) * rBase;
-                    finalY = -yRaw;
-                } else if (window.geometryMode === 'sheet') {
-                    finalX = (u - 0.5) * gridWidth;
-                    finalZ = (v - 0.5) * gridDepth;
-                    const hHeight = sampleBezierSpline(u, horizontalCurve, 'y');
-                    const combinedY = (vHeight + hHeight) * heightScale * (gridWidth / 2);
-                    finalY = -combinedY;
+        /** Unit normal of the deformed surface at (u, v). */
+        const normalAt = (u, v) => {
+            const normal = this.surfaceNormal(mode, modeCurves, modeParams, u, v);
+            return deform
+                ? this.deformNormal(deform, mode.position(u, v, modeCurves, modeParams), normal, gridWidth)
+                : normal;
+        };
+
+        /**
+         * Samples one displacement channel in range [-0.5, 0.5] (white) or roughly [-1, 1] (coherent).
+         * Coherent noise is evaluated at the undisplaced position so it stays put
+         * when unrelated parameters change.
+         */
+        const sampleNoise = (pos, channel) => {
+            if (!noise3D) return random() - 0.5;
+            const o = NOISE_CHANNEL_OFFSETS[channel];
+            const x = pos.x * noiseScale + o;
+            const y = pos.y * noiseScale + o;
+            const z = pos.z * noiseScale + o;
+            return noiseType === 'fbm'
+                ? fbm(noise3D, x, y, z, noiseOctaves)
+                : noise3D(x, y, z);
+        };
+
+        this.points = new PointBuffer();
+        // Height factor of every point, so the cloud can be recolored without generating it again
+        let heights = new Float32Array(PROGRESS_INTERVAL);
+        const { filling, interiorShare, stepsU, stepsV, columns } = this.surfaceLayout(mode, modeParams, modeCurves);
+
+        const axisOptions = { arcLength: spacing === 'uniform', adaptivity: adaptive ? adaptivity : 0 };
+        const vCurve = mode.axisCurves.v ? curves[mode.axisCurves.v] : null;
+        const uCurve = mode.axisCurves.u ? curves[mode.axisCurves.u] : null;
+        const vParams = this.axisParameters(vCurve, stepsV, axisOptions);
+        const uParams = this.axisParameters(uCurve, stepsU, axisOptions);
+        const heightCurve = vCurve || curves.vertical;
+        const caps = this.sampleCaps(mode, modeCurves, modeParams, position, stepsU, interiorShare);
+
+        // Points expected, for progress reports
+        let expected = this.countPoints(mode, modeParams, columns)
+            + caps.reduce((sum, cap) => sum + cap.points.length, 0);
+
+        /**
+         * Applies noise and color to a position and adds it to the cloud with its normal.
+         * Interior points carry the normal of the surface at their (u, v) but skip
+         * normal-aligned noise, since they do not lie on that surface.
+         */
+        const emitPoint = (u, v, pos, onSurface, normal) => {
+            let finalX = pos.x;
+            let finalY = pos.y;
+            let finalZ = pos.z;
+
+            if (noise > 0) {
+                if (noiseAlongNormal && onSurface) {
+                    const d = sampleNoise(pos, 0) * jitter;
+                    finalX += normal.x * d;
+                    finalY += normal.y * d;
+                    finalZ += normal.z * d;
+                } else {
+                    finalX += sampleNoise(pos, 0) * jitter;
+                    finalY += sampleNoise(pos, 1) * jitter;
+                    finalZ += sampleNoise(pos, 2) * jitter;
+                }
+            }
+
+            const height = mode.colorHeight
+                ? mode.colorHeight(u, v, modeCurves, modeParams)
+                : sampleBezierSpline(v, heightCurve, 'y');
+            const index = this.points.length;
+            if (index === heights.length) {
+                const grown = new Float32Array(heights.length * 2);
+                grown.set(heights);
+                heights = grown;
+            }
+            heights[index] = height;
+
+            this.points.push(finalX, finalY, finalZ, 0, 0, 0, normal.x, normal.y, normal.z);
+            paint(this.points.data, index * POINT_STRIDE, height);
+            if (onProgress && this.points.length % PROGRESS_INTERVAL === 0) {
+                onProgress(Math.min(1, this.points.length / Math.max(1, expected)));
+            }
+        };
+
+        if (mode.sample) {
+            // Modes that find their own surface points, such as the implicit mode
+            const samples = mode.sample(modeCurves, modeParams);
+            expected += samples.length;
+            for (const [u, v, pos, sampled] of samples) {
+                // Null where the surface is flat and has no gradient
+                const normal = sampled ?? UP;
+                if (deform) {
+                    emitPoint(u, v, deform(pos), true, this.deformNormal(deform, pos, normal, gridWidth));
+                } else {
+                    emitPoint(u, v, pos, true, normal);
+                }
+            }
+        } else if (interiorShare < 1 && (distribution === 'random' || distribution === 'poisson')) {
+            const scatterRandom = createStream(seed, 'scatter');
+            const count = Math.round(pointBudget * (1 - interiorShare));
+            const samples = distribution === 'poisson'
+                ? this.samplePoissonDisk(position, count, minSpacing, scatterRandom)
+                : this.sampleSurface(position, count, scatterRandom);
+            for (const [u, v, pos] of samples) {
+                emitPoint(u, v, pos, true, normalAt(u, v));
+            }
+        } else if (interiorShare < 1) {
+            for (let i = 0; i <= stepsV; i++) {
+                const v = vParams[i];
+                for (let j = 0; j < columns; j++) {
+                    const u = uParams[j];
+                    emitPoint(u, v, position(u, v), true, normalAt(u, v));
+                }
+            }
+        }
+
+        for (const { v, normal, points } of caps) {
+            for (const pos of points) {
+                if (deform) {
+                    emitPoint(0, v, deform(pos), true, this.deformNormal(deform, pos, normal, gridWidth));
                 } else {
-                    const rawX = sampleBezierSpline(u, horizontalCurve, 'x');
-                    const rawZ = sampleBezierSpline(u, horizontalCurve, 'y');
+                    emitPoint(0, v, pos, true, normal);
+                }
+            }
+        }
+
+        if (filling) {
+            const fillRandom = createStream(seed, 'fill');
+            const count = Math.round(pointBudget * interiorShare);
+            const fillPosition = deform
+                ? (u, v, s) => deform(mode.fill(u, v, s, modeCurves, modeParams))
+                : (u, v, s) => mode.fill(u, v, s, modeCurves, modeParams);
+
+            for (const [u, v, s] of this.sampleInterior(mode, modeCurves, modeParams, count, fillRandom)) {
+                emitPoint(u, v, fillPosition(u, v, s), false, normalAt(u, v));
+            }
+        }
+
+        this.points.heights = heights.slice(0, this.points.length);
+        return this.points.trim();
+    }
+
+    /**
+     * Recolors a generated cloud for new color settings without generating it
+     * again. Depth and normal colors come from the stored points, height colors
+     * from the height factors that `generate` keeps in `points.heights`.
+     * @param {PointBuffer} points - Cloud returned by `generate`, recolored in place
+     * @param {Object} params - Generation parameters (`color`, `color2`, `colorMode`, `gridDepth`)
+     * @returns {boolean} False when the cloud has no height factors and has to be generated again
+     */
+    static recolor(points, params) {
+        if (!points.heights || points.heights.length !== points.length) return false;
+        const paint = createPainter({ ...DEFAULT_PARAMS, ...params });
+        for (let i = 0; i < points.length; i++) {
+            paint(points.data, i * POINT_STRIDE, points.heights[i]);
+        }
+        return true;
+    }
+
+    /**
+     * Computes the parameter values sampled along one axis.
+     * Without a curve the parameters are evenly spaced. With a curve they can be
+     * spaced evenly along its arc length, so points follow the visible shape
+     * instead of the control-point layout, and/or concentrated where it bends.
+     * 
+     * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>|null} curve - Curve used on this axis, or null
+     * @param {number} steps - Number of intervals (steps + 1 samples)
+     * @param {Object} [options] - Sampling options
+     * @param {boolean} [options.arcLength=false] - Space samples by arc length
+     * @param {number} [options.adaptivity=0] - Share of samples driven by curvature [0-1]
+     * @returns {number[]} Parameter values in range [0, 1]
+     * @private
+     */
+    axisParameters(curve, steps, { arcLength = false, adaptivity = 0 } = {}) {
+        const params = new Array(steps + 1);
+        let table = null;
+        if (curve && adaptivity > 0) {
+            table = buildCurvatureTable(curve, adaptivity, arcLength);
+        } else if (curve && arcLength) {
+            table = buildArcLengthTable(curve);
+        }
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            params[i] = table ? arcLengthToParameter(t, table) : t;
+        }
+        return params;
+    }
+
+    /**
+     * Builds a sampler that picks (u, v) in proportion to surface area.
+     * The surface is measured on a coarse grid of the (deformed) positions, so
+     * stretched regions get more points and pinched ones, such as poles, fewer.
+     * 
+     * @param {function(number, number): {x: number, y: number, z: number}} position - Surface position at (u, v)
+     * @param {function(): number} random - Seeded random source
+     * @returns {{area: number, sample: function(): [number, number]}} Total area and a sampling function
+     * @private
+     */
+    createAreaSampler(position, random) {
+        const grid = 64;
+        const rows = [];
+        for (let i = 0; i <= grid; i++) {
+            const row = [];
+            for (let j = 0; j <= grid; j++) row.push(position(j / grid, i / grid));
+            rows.push(row);
+        }
+
+        const triangle = (a, b, c) => {
+            const ax = b.x - a.x, ay = b.y - a.y, az = b.z - a.z;
+            const bx = c.x - a.x, by = c.y - a.y, bz = c.z - a.z;
+            return 0.5 * Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx);
+        };
+
+        const cumulative = new Float64Array(grid * grid);
+        let area = 0;
+        for (let i = 0; i < grid; i++) {
+            for (let j = 0; j < grid; j++) {
+                const p00 = rows[i][j], p01 = rows[i][j + 1];
+                const p10 = rows[i + 1][j], p11 = rows[i + 1][j + 1];
+                area += triangle(p00, p01, p11) + triangle(p00, p11, p10);
+                cumulative[i * grid + j] = area;
+            }
+        }
+
+        const sample = () => {
+            let cell;
+            if (area > 0) {
+                const target = random() * area;
+                let lo = 0;
+                let hi = cumulative.length - 1;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (cumulative[mid] < target) lo = mid + 1;
+                    else hi = mid;
+                }
+                cell = lo;
+            } else {
+                cell = Math.floor(random() * cumulative.length);
+            }
+            return [((cell % grid) + random()) / grid, (Math.floor(cell / grid) + random()) / grid];
+        };
+
+        return { area, sample };
+    }
+
+    /**
+     * Scatters points over the surface at random, with density proportional to area.
+     * 
+     * @param {function(number, number): {x: number, y: number, z: number}} position - Surface position at (u, v)
+     * @param {number} count - Number of points
+     * @param {function(): number} random - Seeded random source
+     * @returns {Array<[number, number, Object]>} Samples as [u, v, position]
+     * @private
+     */
+    sampleSurface(position, count, random) {
+        const { sample } = this.createAreaSampler(position, random);
+        const samples = [];
+        for (let n = 0; n < count; n++) {
+            const [u, v] = sample();
+            samples.push([u, v, position(u, v)]);
+        }
+        return samples;
+    }
+
+    /**
+     * Scatters points over the surface with a minimum spacing (Poisson-disk / blue
+     * noise) by dart throwing: area-weighted candidates are rejected when they fall
+     * within `spacing` of an accepted point. Stops at `count` points, or when
+     * candidates keep getting rejected because the surface is full.
+     * 
+     * @param {function(number, number): {x: number, y: number, z: number}} position - Surface position at (u, v)
+     * @param {number} count - Maximum number of points
+     * @param {number} spacing - Minimum distance in world units; 0 derives it from the area and count
+     * @param {function(): number} random - Seeded random source
+     * @returns {Array<[number, number, Object]>} Samples as [u, v, position]
+     * @private
+     */
+    samplePoissonDisk(position, count, spacing, random) {
+        const { area, sample } = this.createAreaSampler(position, random);
+        // A saturated Poisson-disk set holds roughly 0.7 * area / r² points
+        const r = spacing > 0 ? spacing : 0.75 * Math.sqrt(area / Math.max(1, count));
+        if (!(r > 0)) return this.sampleSurface(position, count, random);
+
+        const rSq = r * r;
+        const cells = new Map();
+        const key = (x, y, z) => `${x},${y},${z}`;
+        const samples = [];
+        const maxAttempts = count * 30;
+
+        for (let attempt = 0; attempt < maxAttempts && samples.length < count; attempt++) {
+            const [u, v] = sample();
+            const p = position(u, v);
+            const cx = Math.floor(p.x / r);
+            const cy = Math.floor(p.y / r);
+            const cz = Math.floor(p.z / r);
+
+            let free = true;
+            for (let dx = -1; dx <= 1 && free; dx++) {
+                for (let dy = -1; dy <= 1 && free; dy++) {
+                    for (let dz = -1; dz <= 1 && free; dz++) {
+                        const bucket = cells.get(key(cx + dx, cy + dy, cz + dz));
+                        if (!bucket) continue;
+                        for (const q of bucket) {
+                            if ((q.x - p.x) ** 2 + (q.y - p.y) ** 2 + (q.z - p.z) ** 2 < rSq) {
+                                free = false;
+                                break;
+                            }
+                        }
+                    }
+                }
+            }
+            if (!free) continue;
+
+            const k = key(cx, cy, cz);
+            if (!cells.has(k)) cells.set(k, []);
+            cells.get(k).push(p);
+            samples.push([u, v, p]);
+        }
+        return samples;
+    }
+
+    /**
+     * Samples the end caps a generation asked for, on modes whose ends are
+     * closed outlines. Points are returned undeformed, like the outline.
+     *
+     * @param {Object} mode - Geometry mode
+     * @param {Object} modeCurves - Curves prepared by the mode
+     * @param {Object} modeParams - Complete generation parameters
+     * @param {function(number, number): {x: number, y: number, z: number}} position - Deformed surface position at (u, v)
+     * @param {number} stepsU - Grid intervals along U
+     * @param {number} interiorShare - Share of the point budget spent on a volume fill
+     * @returns {Array<{v: number, normal: {x: number, y: number, z: number}, points: Array<{x: number, y: number, z: number}>}>}
+     *   One entry per cap, with the end it closes and its outward normal
+     * @private
+     */
+    sampleCaps(mode, modeCurves, modeParams, position, stepsU, interiorShare) {
+        const { capTop, capBottom, distribution, pointBudget, minSpacing, seed } = modeParams;
+        const capping = (capTop || capBottom) && interiorShare < 1 && !mode.sample
+            && typeof mode.caps === 'function' && mode.caps(modeParams, modeCurves);
+        if (!capping) return [];
+
+        const scattered = distribution === 'random' || distribution === 'poisson';
+        const capRandom = scattered ? createStream(seed, 'caps') : null;
+        let scatterSpacing = 0;
+        if (scattered) {
+            // Same density as the scattered walls
+            const count = Math.max(1, Math.round(pointBudget * (1 - interiorShare)));
+            const { area } = this.createAreaSampler(position, capRandom);
+            scatterSpacing = distribution === 'poisson' && minSpacing > 0 ? minSpacing : Math.sqrt(area / count);
+        }
+
+        // The end that rises higher is the top (world Y points down)
+        const topEnd = mode.position(0, 1, modeCurves, modeParams).y < mode.position(0, 0, modeCurves, modeParams).y ? 1 : 0;
+        const ends = [];
+        if (capTop) ends.push(topEnd);
+        if (capBottom) ends.push(1 - topEnd);
+
+        return ends.map(v => {
+            const outline = [];
+            for (let k = 0; k < CAP_OUTLINE_SAMPLES; k++) {
+                outline.push(mode.position(k / CAP_OUTLINE_SAMPLES, v, modeCurves, modeParams));
+            }
+            // On the grid, caps use the spacing of the wall's points around the rim
+            const spacing = scattered ? scatterSpacing : this.outlineLength(outline) / stepsU;
+            const normal = { x: 0, y: v === topEnd ? -1 : 1, z: 0 };
+            return { v, normal, points: this.sampleCap(outline, spacing, capRandom) };
+        });
+    }
+
+    /**
+     * Length of a closed outline.
+     * 
+     * @param {Array<{x: number, y: number, z: number}>} outline - Outline points, in order
+     * @returns {number} Perimeter, including the segment back to the first point
+     * @private
+     */
+    outlineLength(outline) {
+        let length = 0;
+        for (let i = 0; i < outline.length; i++) {
+            const a = outline[i];
+            const b = outline[(i + 1) % outline.length];
+            length += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+        }
+        return length;
+    }
+
+    /**
+     * Fills a horizontal cross-section with points. The outline may be concave or
+     * cross itself: points are kept by an even-odd (ray casting) inside test. On a
+     * square grid, points within half a spacing of the outline are left out, since
+     * the wall already has points there; with a random source, points are scattered
+     * uniformly at one per spacing² of area instead.
+     * 
+     * @param {Array<{x: number, y: number, z: number}>} outline - Closed outline at one height
+     * @param {number} spacing - Distance between neighbouring points
+     * @param {?function(): number} [random=null] - Seeded random source for scattered caps
+     * @returns {Array<{x: number, y: number, z: number}>} Points inside the outline
+     * @private
+     */
+    sampleCap(outline, spacing, random = null) {
+        const n = outline.length;
+        const y = outline.reduce((sum, p) => sum + p.y, 0) / n;
+        let area = 0;
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (let i = 0; i < n; i++) {
+            const a = outline[i];
+            const b = outline[(i + 1) % n];
+            area += a.x * b.z - b.x * a.z;
+            minX = Math.min(minX, a.x);
+            maxX = Math.max(maxX, a.x);
+            minZ = Math.min(minZ, a.z);
+            maxZ = Math.max(maxZ, a.z);
+        }
+        area = Math.abs(area) / 2;
+        if (!(spacing > 0) || area < spacing * spacing) return [];
+
+        const inside = (x, z) => {
+            let crossings = 0;
+            for (let i = 0, j = n - 1; i < n; j = i++) {
+                const a = outline[i];
+                const b = outline[j];
+                if ((a.z > z) !== (b.z > z) && x < a.x + (z - a.z) * (b.x - a.x) / (b.z - a.z)) crossings++;
+            }
+            return crossings % 2 === 1;
+        };
+
+        const clear = (x, z) => {
+            const minSq = (spacing / 2) ** 2;
+            for (let i = 0; i < n; i++) {
+                const a = outline[i];
+                const b = outline[(i + 1) % n];
+                const dx = b.x - a.x;
+                const dz = b.z - a.z;
+                const lengthSq = dx * dx + dz * dz;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lengthSq)) : 0;
+                if ((a.x + dx * t - x) ** 2 + (a.z + dz * t - z) ** 2 < minSq) return false;
+            }
+            return true;
+        };
+
+        const points = [];
+        if (random) {
+            const count = Math.round(area / (spacing * spacing));
+            for (let attempt = 0; attempt < count * 20 && points.length < count; attempt++) {
+                const x = minX + random() * (maxX - minX);
+                const z = minZ + random() * (maxZ - minZ);
+                if (inside(x, z)) points.push({ x, y, z });
+            }
+            return points;
+        }
+
+        // Grid centered on the outline's bounds, so symmetric shapes get symmetric caps
+        const cx = (minX + maxX) / 2;
+        const cz = (minZ + maxZ) / 2;
+        const halfX = Math.floor((maxX - minX) / 2 / spacing);
+        const halfZ = Math.floor((maxZ - minZ) / 2 / spacing);
+        for (let i = -halfZ; i <= halfZ; i++) {
+            for (let j = -halfX; j <= halfX; j++) {
+                const x = cx + j * spacing;
+                const z = cz + i * spacing;
+                if (inside(x, z) && clear(x, z)) points.push({ x, y, z });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Picks (u, v, s) samples inside a mode's solid, where s runs from the core (0)
+     * to the surface (1). Cells of a coarse (u, v) grid are chosen in proportion to
+     * the volume of the wedge they sweep, so the fill does not bunch up where the
+     * grid is dense. The radial coordinate then follows the requested fill style.
+     * 
+     * @param {Object} mode - Geometry mode with a `fill` function
+     * @param {Object} curves - Curves, as returned by the mode's `prepare`
+     * @param {Object} params - Generation parameters
+     * @param {number} count - Number of samples
+     * @param {function(): number} random - Seeded random source
+     * @returns {Array<[number, number, number]>} Samples as [u, v, s]
+     * @private
+     */
+    sampleInterior(mode, curves, params, count, random) {
+        const { fill, fillShells, fillFalloff } = params;
+        const grid = 48;
 
-                    const baseX = (rawX - 0.5) * gridWidth;
-                    const baseZ = (rawZ - 0.5) * gridDepth;
+        // Wedge volume per cell: triangle between the core and two surface samples,
+        // times the distance the core moves from one row to the next
+        const cores = [];
+        const surface = [];
+        for (let i = 0; i <= grid; i++) {
+            const v = i / grid;
+            const coreRow = [];
+            const surfaceRow = [];
+            for (let j = 0; j <= grid; j++) {
+                const u = j / grid;
+                coreRow.push(mode.fill(u, v, 0, curves, params));
+                surfaceRow.push(mode.fill(u, v, 1, curves, params));
+            }
+            cores.push(coreRow);
+            surface.push(surfaceRow);
+        }
 
-                    finalX = baseX * vRadius;
-                    finalZ = baseZ * vRadius;
-                    finalY = -yRaw;
+        const weights = new Float64Array(grid * grid);
+        let total = 0;
+        for (let i = 0; i < grid; i++) {
+            for (let j = 0; j < grid; j++) {
+                let area = 0;
+                for (const row of [i, i + 1]) {
+                    const c = cores[row][j];
+                    const a = surface[row][j];
+                    const b = surface[row][j + 1];
+                    const ax = a.x - c.x, ay = a.y - c.y, az = a.z - c.z;
+                    const bx = b.x - c.x, by = b.y - c.y, bz = b.z - c.z;
+                    area += 0.5 * Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx);
                 }
+                const c0 = cores[i][j];
+                const c1 = cores[i + 1][j];
+                const thickness = Math.hypot(c1.x - c0.x, c1.y - c0.y, c1.z - c0.z);
+                total += (area / 2) * thickness;
+                weights[i * grid + j] = total;
+            }
+        }
 
-                if (noise > 0) {
-                    const jitter = noise * 20;
-                    finalX += (Math.random() - 0.5) * jitter;
-                    finalY += (Math.random() - 0.5) * jitter;
-                    finalZ += (Math.random() - 0.5) * jitter;
+        const samples = [];
+        for (let n = 0; n < count; n++) {
+            let cell;
+            if (total > 0) {
+                // Binary search the cumulative weights
+                const target = random() * total;
+                let lo = 0;
+                let hi = weights.length - 1;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (weights[mid] < target) lo = mid + 1;
+                    else hi = mid;
                 }
+                cell = lo;
+            } else {
+                cell = Math.floor(random() * weights.length);
+            }
 
-                let finalColor = color;
-                if (colorMode === 'height') {
-                    finalColor = interpolateColor(color, color2, vHeight);
-                } else if (colorMode === 'depth') {
-                    const factor = Math.max(0, Math.min(1, (finalZ + (gridDepth / 2)) / gridDepth));
-                    finalColor = interpolateColor(color, color2, factor);
+            const u = ((cell % grid) + random()) / grid;
+            const v = (Math.floor(cell / grid) + random()) / grid;
+
+            // Cross-section area grows with s, so uniform density needs p(s) ∝ s
+            let s;
+            if (fill === 'shells') {
+                const shells = Math.max(1, Math.round(fillShells));
+                // Outer shells are larger, so they get proportionally more points
+                const pick = random() * (shells * (shells + 1) / 2);
+                let k = 1;
+                let acc = 1;
+                while (acc < pick && k < shells) {
+                    k++;
+                    acc += k;
                 }
+                s = k / (shells + 1);
+            } else if (fill === 'falloff') {
+                s = Math.pow(random(), 1 / (2 + Math.max(0, fillFalloff)));
+            } else {
+                s = Math.sqrt(random());
+            }
+
+            samples.push([u, v, s]);
+        }
+        return samples;
+    }
+
+    /**
+     * Counts the points `generate` makes for the given curves and parameters
+     * without placing them, so callers can turn down requests that would not fit
+     * in memory. Caps are sampled to count them, and modes that find their own
+     * surface points, such as the implicit mode, are sampled in full, which costs
+     * about as much as generating the cloud. Poisson-disk scattering can place
+     * fewer points than counted, when the surface fills up first.
+     *
+     * @param {Object} curves - Curves drawn in the editors, as passed to `generate`
+     * @param {Object} params - Generation parameters, as passed to `generate`
+     * @returns {number} Number of points
+     */
+    estimatePointCount(curves, params) {
+        const { mode, modeParams } = this.resolveParams(params);
+        const modeCurves = mode.prepare ? mode.prepare(curves, modeParams) : curves;
+        const { interiorShare, stepsU, columns } = this.surfaceLayout(mode, modeParams, modeCurves);
+        const deform = compileDeformers(modeParams.deformers, modeParams);
+        const position = this.surfacePosition(mode, modeCurves, modeParams, deform);
+        const caps = this.sampleCaps(mode, modeCurves, modeParams, position, stepsU, interiorShare);
+        const samples = mode.sample ? mode.sample(modeCurves, modeParams).length : 0;
+        return this.countPoints(mode, modeParams, columns) + samples
+            + caps.reduce((sum, cap) => sum + cap.points.length, 0);
+    }
+
+    /**
+     * Surface position function of a generation, with the deformers applied.
+     * @param {Object} mode - Geometry mode
+     * @param {Object} modeCurves - Curves prepared by the mode
+     * @param {Object} modeParams - Complete generation parameters
+     * @param {?function(Object): Object} deform - Compiled deformer stack, or null
+     * @returns {function(number, number): {x: number, y: number, z: number}} Position at (u, v)
+     * @private
+     */
+    surfacePosition(mode, modeCurves, modeParams, deform) {
+        return deform
+            ? (u, v) => deform(mode.position(u, v, modeCurves, modeParams))
+            : (u, v) => mode.position(u, v, modeCurves, modeParams);
+    }
+
+    /**
+     * Looks up the geometry mode and fills in the default parameters.
+     * @param {Object} params - Generation parameters, as passed to `generate`
+     * @returns {{mode: Object, modeParams: Object}} The mode and the complete parameters
+     * @private
+     */
+    resolveParams(params) {
+        const { mode: modeName = 'sweep' } = params;
+        const mode = getMode(modeName);
+        if (!mode) {
+            throw new Error(`Unknown geometry mode "${modeName}"`);
+        }
+        const modeParams = { ...DEFAULT_PARAMS, ...getModeDefaults(modeName), ...params };
+        return { mode, modeParams };
+    }
+
+    /**
+     * Works out the surface grid resolution and how the point budget is split
+     * between the surface and a volume fill.
+     * @param {Object} mode - Geometry mode
+     * @param {Object} modeParams - Complete generation parameters
+     * @returns {{filling: boolean, interiorShare: number, stepsU: number, stepsV: number}} Fill
+     *   share of the budget and the intervals along U and V
+     * @private
+     */
+    gridSteps(mode, modeParams) {
+        const { density, densityU = density, densityV = density, adaptive, pointBudget, fill, fillRatio } = modeParams;
+        const filling = fill !== 'none' && typeof mode.fill === 'function';
+        const interiorShare = filling ? Math.max(0, Math.min(1, fillRatio)) : 0;
+        let stepsU = Math.max(1, Math.round(densityU));
+        let stepsV = Math.max(1, Math.round(densityV));
+        if (filling) {
+            // The budget is split between the surface grid and the interior
+            [stepsU, stepsV] = this.fitToBudget(stepsU, stepsV, pointBudget * (1 - interiorShare));
+        } else if (adaptive) {
+            [stepsU, stepsV] = this.fitToBudget(stepsU, stepsV, pointBudget);
+        }
+        return { filling, interiorShare, stepsU, stepsV };
+    }
+
+    /**
+     * Works out the surface grid of a generation: the steps of {@link gridSteps}
+     * and the number of grid columns along U.
+     * @param {Object} mode - Geometry mode
+     * @param {Object} modeParams - Complete generation parameters
+     * @param {Object} modeCurves - Curves prepared by the mode
+     * @returns {{filling: boolean, interiorShare: number, stepsU: number, stepsV: number, columns: number}}
+     *   Grid steps and columns
+     * @private
+     */
+    surfaceLayout(mode, modeParams, modeCurves) {
+        const steps = this.gridSteps(mode, modeParams);
+        // Closed sweeps would repeat the first column at u = 1
+        const periodicU = mode.periodicU ? mode.periodicU(modeParams, modeCurves) : false;
+        return { ...steps, columns: periodicU ? steps.stepsU : steps.stepsU + 1 };
+    }
+
+    /**
+     * Counts the surface and interior points of a generation, leaving out caps
+     * and any points the mode samples itself.
+     * @param {Object} mode - Geometry mode
+     * @param {Object} modeParams - Complete generation parameters
+     * @param {number} columns - Grid columns along U
+     * @returns {number} Expected number of points
+     * @private
+     */
+    countPoints(mode, modeParams, columns) {
+        const { pointBudget, distribution } = modeParams;
+        const { filling, interiorShare, stepsV } = this.gridSteps(mode, modeParams);
+        let count = filling ? Math.round(pointBudget * interiorShare) : 0;
+        if (!mode.sample && interiorShare < 1) {
+            count += distribution === 'random' || distribution === 'poisson'
+                ? Math.round(pointBudget * (1 - interiorShare))
+                : (stepsV + 1) * columns;
+        }
+        return count;
+    }
+
+    /**
+     * Scales a U/V grid resolution to roughly match a total point budget while
+     * keeping the ratio between the two axes.
+     * 
+     * @param {number} stepsU - Requested intervals along U
+     * @param {number} stepsV - Requested intervals along V
+     * @param {number} budget - Target number of points
+     * @returns {[number, number]} Adjusted [stepsU, stepsV]
+     * @private
+     */
+    fitToBudget(stepsU, stepsV, budget) {
+        const total = Math.max(4, budget);
+        const cols = Math.max(2, Math.sqrt(total * stepsU / stepsV));
+        const rows = Math.max(2, total / cols);
+        return [Math.max(1, Math.round(cols) - 1), Math.max(1, Math.round(rows) - 1)];
+    }
+
+    /**
+     * Computes the unit normal of a mode's undeformed surface at (u, v) as the
+     * cross product of its partial derivatives along U and V. Modes with a
+     * `tangents` function give the derivatives analytically, from the spline
+     * derivatives; the others are differentiated numerically. Where the surface
+     * pinches to a point (a pole, or a collapsed handle) the parameters are
+     * nudged toward the middle of their range until a normal is found.
+     *
+     * @param {Object} mode - Geometry mode
+     * @param {Object} curves - Prepared curves of the mode
+     * @param {Object} params - Generation parameters
+     * @param {number} u - U parameter
+     * @param {number} v - V parameter
+     * @returns {{x: number, y: number, z: number}} Unit normal, pointing up where none can be found
+     * @private
+     */
+    surfaceNormal(mode, curves, params, u, v) {
+        const position = (pu, pv) => mode.position(pu, pv, curves, params);
+        for (const h of [0, 1e-3, 1e-2]) {
+            const pu = u + (u < 0.5 ? h : -h);
+            const pv = v + (v < 0.5 ? h : -h);
+            const { du, dv } = mode.tangents
+                ? mode.tangents(pu, pv, curves, params)
+                : this.numericTangents(position, pu, pv);
 
-                this.points.push({
-                    x: finalX,
-                    y: finalY,
-                    z: finalZ,
-                    color: finalColor
-                });
+            // Tangents that are (nearly) parallel or zero have no reliable normal
+            const n = cross(du, dv);
+            const len = Math.hypot(n.x, n.y, n.z);
+            if (len > 1e-6 * Math.hypot(du.x, du.y, du.z) * Math.hypot(dv.x, dv.y, dv.z)) {
+                return { x: n.x / len, y: n.y / len, z: n.z / len };
             }
         }
+        return { ...UP };
+    }
+
+    /**
+     * Estimates the partial derivatives of a surface along U and V using
+     * central differences.
+     * 
+     * @param {function(number, number): {x: number, y: number, z: number}} position - Surface position at (u, v)
+     * @param {number} u - U parameter
+     * @param {number} v - V parameter
+     * @returns {{du: Object, dv: Object}} Partial derivatives
+     * @private
+     */
+    numericTangents(position, u, v) {
+        const h = 1e-3;
+        const u0 = Math.max(0, u - h), u1 = Math.min(1, u + h);
+        const v0 = Math.max(0, v - h), v1 = Math.min(1, v + h);
+
+        const pu0 = position(u0, v);
+        const pu1 = position(u1, v);
+        const pv0 = position(u, v0);
+        const pv1 = position(u, v1);
+
+        return {
+            du: { x: (pu1.x - pu0.x) / (u1 - u0), y: (pu1.y - pu0.y) / (u1 - u0), z: (pu1.z - pu0.z) / (u1 - u0) },
+            dv: { x: (pv1.x - pv0.x) / (v1 - v0), y: (pv1.y - pv0.y) / (v1 - v0), z: (pv1.z - pv0.z) / (v1 - v0) }
+        };
+    }
+
+    /**
+     * Carries a normal through the deformer stack: two tangents perpendicular to
+     * the normal are moved by the deformers' directional derivatives, and their
+     * cross product is the deformed normal.
+     * 
+     * @param {function(Object): Object} deform - Compiled deformer stack
+     * @param {{x: number, y: number, z: number}} pos - Undeformed position
+     * @param {{x: number, y: number, z: number}} normal - Unit normal before deforming
+     * @param {number} scale - Size of the scene, used for the difference step
+     * @returns {{x: number, y: number, z: number}} Unit normal after deforming
+     * @private
+     */
+    deformNormal(deform, pos, normal, scale) {
+        const h = scale * 1e-4;
+        // Tangent basis with t1 × t2 = normal
+        const ref = Math.abs(normal.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+        const c = cross(normal, ref);
+        const cLen = Math.hypot(c.x, c.y, c.z);
+        const t1 = { x: c.x / cLen, y: c.y / cLen, z: c.z / cLen };
+        const t2 = cross(normal, t1);
+
+        const derivative = t => {
+            const a = deform({ x: pos.x + t.x * h, y: pos.y + t.y * h, z: pos.z + t.z * h });
+            const b = deform({ x: pos.x - t.x * h, y: pos.y - t.y * h, z: pos.z - t.z * h });
+            return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+        };
 
-        return this.points;
+        const n = cross(derivative(t1), derivative(t2));
+        const len = Math.hypot(n.x, n.y, n.z);
+        return len > 0 ? { x: n.x / len, y: n.y / len, z: n.z / len } : normal;
     }
 }
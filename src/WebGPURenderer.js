@@ -4,6 +4,9 @@
  * bloom effects, grid/axes visualization, and interactive camera controls.
  */
 
+import { PointBuffer, POINT_STRIDE } from './PointBuffer.js';
+import { hexToRgb } from './math.js';
+
 /**
  * @fileoverview WebGPU-based 3D point cloud renderer with post-processing effects.
  * 
@@ -17,9 +20,25 @@
  * - Customizable aspect ratios and viewport settings
  */
 
+/** Floats per copy in the instance buffer: a 4x4 matrix and an RGBA tint. */
+const INSTANCE_FLOATS = 20;
+
+/**
+ * Most storage buffers the points of a scene are spread over. Devices do not
+ * report how much memory they have, so scenes are capped by their buffer size
+ * instead: with WebGPU's default binding size this allows 1 GiB of point data,
+ * which also lives in main memory while it is generated.
+ */
+const MAX_POINT_CHUNKS = 8;
+
+/** WebGPU's default `maxStorageBufferBindingSize` (128 MiB), which every device supports. */
+const DEFAULT_STORAGE_BYTES = 128 * 1024 * 1024;
+
 /**
  * WGSL shader for rendering point cloud particles as billboarded quads.
  * Implements perspective-correct sizing and circular point shapes with smooth edges.
+ * Each instance is one point of one copy: points and copies are read from storage
+ * buffers, so array copies share the same point data on the GPU.
  */
 const quadShader = `
 struct Uniforms {
@@ -27,9 +46,27 @@ struct Uniforms {
   pointSize : f32,
   screenSize : vec2<f32>,
   gridOpacity : f32,
+  shading : f32,
 };
 @group(0) @binding(0) var<uniform> uniforms : Uniforms;
 
+// Points packed as x, y, z, r, g, b, nx, ny, nz (see PointBuffer.js)
+@group(0) @binding(1) var<storage, read> points : array<f32>;
+
+struct Instance {
+  model : mat4x4<f32>,
+  tint : vec4<f32>,
+};
+@group(0) @binding(2) var<storage, read> instances : array<Instance>;
+
+// Range of the points and copies drawn by one draw call
+struct Batch {
+  pointOffset : u32,
+  pointCount : u32,
+  instanceOffset : u32,
+};
+@group(1) @binding(0) var<uniform> batch : Batch;
+
 struct VertexOutput {
   @builtin(position) Position : vec4<f32>,
   @location(0) color : vec4<f32>,
@@ -39,11 +76,23 @@ struct VertexOutput {
 @vertex
 fn vert_main(
   @builtin(instance_index) instanceIdx : u32,
-  @builtin(vertex_index) vertIdx : u32,
-  @location(0) pos : vec3<f32>,  // Instance attribute
-  @location(1) color : vec3<f32> // Instance attribute
+  @builtin(vertex_index) vertIdx : u32
 ) -> VertexOutput {
   var output : VertexOutput;
+
+  // Point and copy of this instance
+  let i = (batch.pointOffset + instanceIdx % batch.pointCount) * ${POINT_STRIDE}u;
+  let placement = instances[batch.instanceOffset + instanceIdx / batch.pointCount];
+  let pos = (placement.model * vec4<f32>(points[i], points[i + 1u], points[i + 2u], 1.0)).xyz;
+  var color = min(vec3<f32>(points[i + 3u], points[i + 4u], points[i + 5u]) * placement.tint.rgb, vec3<f32>(1.0));
+
+  // Two-sided Lambert shading from a fixed light above; points without a normal stay unlit
+  let normal = (placement.model * vec4<f32>(points[i + 6u], points[i + 7u], points[i + 8u], 0.0)).xyz;
+  if (uniforms.shading > 0.0 && length(normal) > 0.0) {
+    let light = normalize(vec3<f32>(0.3, -1.0, 0.5));
+    let lambert = 0.3 + 0.7 * abs(dot(normalize(normal), light));
+    color = color * mix(1.0, lambert, uniforms.shading);
+  }
   
   var quadPos = vec2<f32>(0.0, 0.0);
   var uv = vec2<f32>(0.0, 0.0);
@@ -212,7 +261,7 @@ fn frag_composite(@location(0) uv : vec2<f32>) -> @location(0) vec4<f32> {
  * @example
  * const renderer = new WebGPURenderer('canvas-id');
  * await renderer.init();
- * renderer.updatePoints(pointCloudData);
+ * renderer.setPoints(pointCloudData);
  * renderer.render();
  */
 export class WebGPURenderer {
@@ -226,7 +275,7 @@ export class WebGPURenderer {
         this.context = null;
         this.format = navigator.gpu ? navigator.gpu.getPreferredCanvasFormat() : 'bgra8unorm';
 
-        this.points = [];
+        this.batches = [];
         this.angleX = 0;
         this.angleY = 0;
         this.zoom = 1.0;
@@ -249,16 +298,21 @@ export class WebGPURenderer {
         this._gridDepth = 400;
         this._bloomIntensity = 0;
         this._bloomThreshold = 0.1;
+        this._shading = false;
 
         // WebGPU Objects
         this.pipeline = null;
         this.linePipeline = null;
         this.postPipelines = {};
-        this.vertexBuffer = null;
+        this.pointChunks = [];
+        this.instanceBuffer = null;
+        this.batchUniforms = [];
+        this.drawBatches = [];
+        this.drawLayout = [];
         this.uniformBuffer = null;
         this.gridBuffer = null;
         this.gridVertexCount = 0;
-        this.bindGroup = null;
+        this.chunkBindGroups = [];
         this.lineBindGroup = null;
 
         this.initPromise = this.init();
@@ -287,7 +341,13 @@ export class WebGPURenderer {
             return;
         }
 
-        this.device = await adapter.requestDevice();
+        // Ask for the largest buffers the adapter supports; bigger clouds are split into chunks
+        this.device = await adapter.requestDevice({
+            requiredLimits: {
+                maxBufferSize: adapter.limits.maxBufferSize,
+                maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize
+            }
+        });
         this.context = this.canvas.getContext('webgpu');
 
         this.context.configure({
@@ -302,15 +362,8 @@ export class WebGPURenderer {
             layout: 'auto',
             vertex: {
                 module: shaderModule,
-                entryPoint: 'vert_main',
-                buffers: [{
-                    arrayStride: 24, // 3+3 * 4
-                    stepMode: 'instance',
-                    attributes: [
-                        { shaderLocation: 0, offset: 0, format: 'float32x3' }, // pos
-                        { shaderLocation: 1, offset: 12, format: 'float32x3' } // color
-                    ]
-                }]
+                entryPoint: 'vert_main'
+                // No vertex buffers: points and copies come from storage buffers
             },
             fragment: {
                 module: shaderModule,
@@ -375,7 +428,8 @@ export class WebGPURenderer {
             // offset 68: pad (4)
             // offset 72: screenSize (8)
             // offset 80: gridOpacity (4)
-            // offset 84: pad (12) -> total 96
+            // offset 84: shading (4)
+            // offset 88: pad (8) -> total 96
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
@@ -389,8 +443,8 @@ export class WebGPURenderer {
         this.createPostProcessingResources();
         this.createAxesGizmo(); // Init gizmo geometry
 
-        if (this.points.length > 0) {
-            this.setPoints(this.points);
+        if (this.batches.length > 0) {
+            this.setBatches(this.batches);
         } else {
             this.render();
         }
@@ -616,50 +670,262 @@ export class WebGPURenderer {
     }
     get bloomIntensity() { return this._bloomIntensity; }
 
+    set shading(val) {
+        this._shading = val;
+        this.render();
+    }
+    get shading() { return this._shading; }
+
     /**
-     * Updates the point cloud data and uploads it to the GPU vertex buffer.
-     * @param {Array<{x:number, y:number, z:number, color:string}>} points - The array of points to render.
+     * Updates the point cloud data and uploads it to the GPU, drawn once.
+     * @param {PointBuffer|Array<{x:number, y:number, z:number, color:string}>} points - The points to render.
      */
     setPoints(points) {
-        this.points = points;
+        this.setBatches([{ points, instances: null }]);
+    }
+
+    /**
+     * Uploads several point lists, each drawn once per copy with GPU instancing:
+     * the points are stored once and every copy only adds a matrix and a tint.
+     * Points that do not fit in one storage buffer are spread over several, each
+     * drawn with its own calls.
+     * @param {Array<{points: PointBuffer|Array<{x:number, y:number, z:number, color:string}>, instances: ?Array<{matrix: number[], tint: number[]}>}>} batches -
+     *   Point lists and their copies (column-major 4x4 matrices and RGB tints); null instances draw the points once.
+     *   Points without normals are drawn unshaded.
+     */
+    setBatches(batches) {
+        this.batches = batches;
         if (!this.device) return;
 
-        const data = new Float32Array(points.length * 6);
-        for (let i = 0; i < points.length; i++) {
-            const p = points[i];
-            const rgb = this.hexToRgb(p.color);
-            data[i * 6 + 0] = p.x;
-            data[i * 6 + 1] = p.y;
-            data[i * 6 + 2] = p.z;
-            data[i * 6 + 3] = rgb[0];
-            data[i * 6 + 4] = rgb[1];
-            data[i * 6 + 5] = rgb[2];
+        const drawn = this.drawableBatches(batches);
+        const instanceTotal = drawn.reduce((sum, b) => sum + (b.instances ? b.instances.length : 1), 0);
+        const { pieces, chunkSizes } = this.chunkLayout(drawn);
+
+        // Storage bindings cannot be empty, so there is always room for one entry
+        chunkSizes.forEach((size, i) => {
+            this.pointChunks[i] = this.reserveStorageBuffer(this.pointChunks[i], Math.max(1, size) * POINT_STRIDE * 4);
+        });
+        this.pointChunks.splice(chunkSizes.length).forEach(buffer => buffer.destroy());
+        this.chunkBindGroups.length = Math.min(this.chunkBindGroups.length, chunkSizes.length);
+        this.instanceBuffer = this.reserveStorageBuffer(this.instanceBuffer, Math.max(1, instanceTotal) * INSTANCE_FLOATS * 4);
+
+        const instanceData = new Float32Array(Math.max(1, instanceTotal) * INSTANCE_FLOATS);
+        const identity = { matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1], tint: [1, 1, 1] };
+        const instanceOffsets = [];
+        let instanceOffset = 0;
+        for (const { instances } of drawn) {
+            const copies = instances || [identity];
+            copies.forEach((copy, i) => {
+                // mat4x4 (64 bytes) followed by the tint as a vec4 (16 bytes)
+                const o = (instanceOffset + i) * INSTANCE_FLOATS;
+                instanceData.set(copy.matrix, o);
+                instanceData.set([...copy.tint, 1], o + 16);
+            });
+            instanceOffsets.push(instanceOffset);
+            instanceOffset += copies.length;
         }
 
-        this.vertexBuffer = this.device.createBuffer({
-            size: data.byteLength,
-            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true
+        this.drawBatches = pieces.map((piece, index) => {
+            const uniform = this.batchUniform(index);
+            const instanceCount = drawn[piece.batch].instances ? drawn[piece.batch].instances.length : 1;
+            this.device.queue.writeBuffer(uniform.buffer, 0, new Uint32Array([
+                piece.pointOffset, piece.pointCount, instanceOffsets[piece.batch], 0
+            ]));
+            return {
+                chunk: piece.chunk,
+                pointCount: piece.pointCount,
+                instanceCount,
+                bindGroup: uniform.bindGroup
+            };
         });
-        new Float32Array(this.vertexBuffer.getMappedRange()).set(data);
-        this.vertexBuffer.unmap();
+        this.drawLayout = drawn.map(b => b.points.length);
 
-        this.pointCount = points.length;
+        // Uniforms of pieces that are gone
+        this.batchUniforms.splice(pieces.length).forEach(uniform => uniform.buffer.destroy());
+
+        this.writePoints(drawn, pieces);
+        this.device.queue.writeBuffer(this.instanceBuffer, 0, instanceData);
         this.render();
     }
 
     /**
-     * Converts a Hex color string to an RGB array.
-     * @param {string} hex - The hex color string (e.g., "#ff0000").
-     * @returns {[number, number, number]} Normalized RGB components [0-1].
+     * Uploads points recolored in place (see `SurfaceGenerator.recolor`) for
+     * batches laid out like the ones drawn; the copies and per-batch settings
+     * are kept. Colors are interleaved with the positions, so the points are
+     * written whole, but no buffer is allocated or rebound. Falls back to
+     * {@link setBatches} when the point counts differ.
+     * @param {Array<{points: PointBuffer|Array<{x:number, y:number, z:number, color:string}>, instances: ?Array<{matrix: number[], tint: number[]}>}>} batches -
+     *   Point lists and their copies, as passed to {@link setBatches}
      */
-    hexToRgb(hex) {
-        if (!hex) return [1, 1, 1];
-        const bigint = parseInt(hex.slice(1), 16);
-        const r = (bigint >> 16) & 255;
-        const g = (bigint >> 8) & 255;
-        const b = bigint & 255;
-        return [r / 255, g / 255, b / 255];
+    updateColors(batches) {
+        if (!this.device) {
+            this.batches = batches;
+            return;
+        }
+
+        const drawn = this.drawableBatches(batches);
+        const sameLayout = drawn.length === this.drawLayout.length
+            && drawn.every((b, i) => b.points.length === this.drawLayout[i]);
+        if (!sameLayout) {
+            this.setBatches(batches);
+            return;
+        }
+
+        this.batches = batches;
+        this.writePoints(drawn, this.chunkLayout(drawn).pieces);
+        this.render();
+    }
+
+    /**
+     * Checks up front whether a scene fits in memory. Clouds larger than one GPU
+     * buffer are split into chunks, up to {@link MAX_POINT_CHUNKS} of them, but the
+     * copies of all objects share one buffer.
+     * @param {number} pointCount - Points of all objects, each stored once
+     * @param {number} [instanceCount=1] - Copies of all objects together
+     * @returns {{bytes: number, fits: boolean}} Estimated GPU memory in bytes and whether the scene fits
+     */
+    checkMemory(pointCount, instanceCount = 1) {
+        const instanceBytes = instanceCount * INSTANCE_FLOATS * 4;
+        const bytes = pointCount * POINT_STRIDE * 4 + instanceBytes;
+        const fits = Math.ceil(pointCount / this.chunkCapacity) <= MAX_POINT_CHUNKS
+            && instanceBytes <= this.maxStorageBytes;
+        return { bytes, fits };
+    }
+
+    /**
+     * Largest storage buffer the device can bind, in bytes; the WebGPU default
+     * until a device is ready.
+     * @type {number}
+     */
+    get maxStorageBytes() {
+        if (!this.device) return DEFAULT_STORAGE_BYTES;
+        const { maxBufferSize, maxStorageBufferBindingSize } = this.device.limits;
+        return Math.min(maxBufferSize, maxStorageBufferBindingSize);
+    }
+
+    /**
+     * Number of points that fit in one chunk.
+     * @type {number}
+     */
+    get chunkCapacity() {
+        return Math.max(1, Math.floor(this.maxStorageBytes / (POINT_STRIDE * 4)));
+    }
+
+    /**
+     * Keeps the batches that draw anything, with their points as buffers.
+     * @param {Array<{points: PointBuffer|Array<Object>, instances: ?Array<Object>}>} batches - Point lists and their copies
+     * @returns {Array<{points: PointBuffer, instances: ?Array<Object>}>} Batches to draw
+     */
+    drawableBatches(batches) {
+        return batches
+            .filter(b => b.points.length > 0 && (!b.instances || b.instances.length > 0))
+            .map(b => ({ points: PointBuffer.from(b.points), instances: b.instances }));
+    }
+
+    /**
+     * Spreads the points of the batches over chunks that each fit in one storage buffer.
+     * Batches follow one another; one that does not fit in the rest of a chunk is split
+     * into pieces, and every piece is drawn with all the batch's copies.
+     * @param {Array<{points: PointBuffer}>} drawn - Batches to draw
+     * @returns {{pieces: Array<{batch: number, chunk: number, start: number, pointOffset: number, pointCount: number}>,
+     *   chunkSizes: number[]}} Pieces (batch index, chunk index, first point in the batch, first point in the chunk
+     *   and count) and the number of points in each chunk
+     */
+    chunkLayout(drawn) {
+        const capacity = this.chunkCapacity;
+        const pieces = [];
+        const chunkSizes = [0];
+        drawn.forEach(({ points }, batch) => {
+            let start = 0;
+            while (start < points.length) {
+                if (chunkSizes[chunkSizes.length - 1] === capacity) chunkSizes.push(0);
+                const chunk = chunkSizes.length - 1;
+                const pointCount = Math.min(points.length - start, capacity - chunkSizes[chunk]);
+                pieces.push({ batch, chunk, start, pointOffset: chunkSizes[chunk], pointCount });
+                chunkSizes[chunk] += pointCount;
+                start += pointCount;
+            }
+        });
+        return { pieces, chunkSizes };
+    }
+
+    /**
+     * Writes the points of every piece to its chunk. They are already in the
+     * shader's layout, so they are copied straight from the clouds.
+     * @param {Array<{points: PointBuffer}>} drawn - Batches to draw
+     * @param {Array<Object>} pieces - Pieces from {@link chunkLayout}
+     */
+    writePoints(drawn, pieces) {
+        for (const piece of pieces) {
+            this.device.queue.writeBuffer(
+                this.pointChunks[piece.chunk],
+                piece.pointOffset * POINT_STRIDE * 4,
+                drawn[piece.batch].points.data,
+                piece.start * POINT_STRIDE,
+                piece.pointCount * POINT_STRIDE
+            );
+        }
+    }
+
+    /**
+     * Returns a storage buffer of at least the given size, keeping the current one when it
+     * is large enough. Buffers grow by doubling, so a cloud that grows while a slider moves
+     * is not reallocated on every upload. A replaced buffer is destroyed.
+     * @param {GPUBuffer|null} buffer - Current buffer
+     * @param {number} byteLength - Bytes needed
+     * @returns {GPUBuffer} The current buffer or a new, larger one
+     */
+    reserveStorageBuffer(buffer, byteLength) {
+        if (buffer && buffer.size >= byteLength) return buffer;
+        buffer?.destroy();
+        // The bind groups refer to the old buffer
+        this.chunkBindGroups = [];
+        const size = Math.max(byteLength, Math.min(this.maxStorageBytes, buffer ? buffer.size * 2 : 0));
+        return this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+    }
+
+    /**
+     * Returns the bind group that draws from one chunk of points.
+     * @param {number} chunk - Chunk index
+     * @returns {GPUBindGroup} Bind group with the scene uniforms, the chunk and the copies
+     */
+    chunkBindGroup(chunk) {
+        if (!this.chunkBindGroups[chunk]) {
+            this.chunkBindGroups[chunk] = this.device.createBindGroup({
+                layout: this.pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: this.uniformBuffer } },
+                    { binding: 1, resource: { buffer: this.pointChunks[chunk] } },
+                    { binding: 2, resource: { buffer: this.instanceBuffer } }
+                ]
+            });
+        }
+        return this.chunkBindGroups[chunk];
+    }
+
+    /**
+     * Returns the pooled uniform buffer of a draw (point and instance offsets) and its bind group.
+     * @param {number} index - Draw index
+     * @returns {{buffer: GPUBuffer, bindGroup: GPUBindGroup}} The draw's uniform
+     */
+    batchUniform(index) {
+        if (!this.batchUniforms[index]) {
+            const buffer = this.device.createBuffer({
+                size: 16,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+            this.batchUniforms[index] = {
+                buffer,
+                bindGroup: this.device.createBindGroup({
+                    layout: this.pipeline.getBindGroupLayout(1),
+                    entries: [{ binding: 0, resource: { buffer } }]
+                })
+            };
+        }
+        return this.batchUniforms[index];
     }
 
     /**
@@ -698,6 +964,7 @@ export class WebGPURenderer {
         uniformData[18] = this.canvas.width;
         uniformData[19] = this.canvas.height;
         uniformData[20] = this._gridOpacity;
+        uniformData[21] = this._shading ? 1 : 0;
 
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
     }
@@ -812,6 +1079,7 @@ export class WebGPURenderer {
         const color = this._theme === 'light' ? [0, 0, 0] : [1, 1, 1];
 
         if (!this.device) return;
+        this.gridBuffer?.destroy();
 
         if (this._showGrid) {
             for (let i = -steps; i <= steps; i++) {
@@ -866,7 +1134,7 @@ export class WebGPURenderer {
         this.device.queue.writeBuffer(this.postUniformBuffer, 0, postData);
 
         const commandEncoder = this.device.createCommandEncoder();
-        const clearC = this.hexToRgb(this.bgColor);
+        const clearC = hexToRgb(this.bgColor).map(c => c / 255);
 
         // 1. Scene Pass
         const sceneDescriptor = {
@@ -900,17 +1168,14 @@ export class WebGPURenderer {
             pass.draw(this.gridVertexCount);
         }
 
-        if (this.vertexBuffer && this.pointCount > 0) {
+        if (this.pointChunks.length > 0 && this.drawBatches.length > 0) {
             pass.setPipeline(this.pipeline);
-            if (!this.bindGroup) {
-                this.bindGroup = this.device.createBindGroup({
-                    layout: this.pipeline.getBindGroupLayout(0),
-                    entries: [{ binding: 0, resource: { buffer: this.uniformBuffer } }]
-                });
+            // One instance per point and copy
+            for (const batch of this.drawBatches) {
+                pass.setBindGroup(0, this.chunkBindGroup(batch.chunk));
+                pass.setBindGroup(1, batch.bindGroup);
+                pass.draw(6, batch.pointCount * batch.instanceCount);
             }
-            pass.setBindGroup(0, this.bindGroup);
-            pass.setVertexBuffer(0, this.vertexBuffer);
-            pass.draw(6, this.pointCount);
         }
 
         // --- Axes Gizmo Pass (Bottom-Left Corner) ---
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Runs point cloud generation in a Web Worker.
+ *
+ * Only the newest request matters while a slider is being dragged, so jobs do
+ * not queue up: a new request replaces any job still waiting to start, and a
+ * running job that has already taken longer than `CANCEL_AFTER_MS` is
+ * cancelled by restarting the worker. Superseded requests resolve to null.
+ * Where workers are unavailable, or the worker fails to load, generation falls
+ * back to the main thread.
+ *
+ * @example
+ * const generation = new WorkerGenerator({ onProgress: fraction => showBar(fraction) });
+ * const results = await generation.generate([{ curves, params }]);
+ * if (results) renderer.setPoints(results[0]);
+ */
+
+import { SurfaceGenerator } from './SurfaceGenerator.js';
+import { PointBuffer } from './PointBuffer.js';
+
+/** A superseded job that has already run this long is cancelled rather than finished. */
+const CANCEL_AFTER_MS = 100;
+
+/** Jobs that take longer than about a frame report their progress. */
+const FRAME_MS = 16;
+
+/**
+ * @typedef {Object} GenerationTask
+ * @property {Object} curves - Curves passed to `SurfaceGenerator.generate`
+ * @property {Object} params - Generation parameters passed to `SurfaceGenerator.generate`
+ */
+
+/**
+ * Generates point clouds in a worker, keeping only the newest request.
+ *
+ * @class
+ */
+export class WorkerGenerator {
+    /**
+     * Starts the worker.
+     * @param {Object} [options] - Options
+     * @param {function(?number): void} [options.onProgress] - Called with the share of the running job that is
+     *   done [0-1] once it takes longer than a frame, and with null when no job is left
+     */
+    constructor({ onProgress = () => {} } = {}) {
+        this.onProgress = onProgress;
+        this.nextId = 1;
+        this.running = null;
+        this.pending = null;
+        this.idleCallbacks = [];
+        this.localGenerator = null;
+        this.worker = this.createWorker();
+    }
+
+    /**
+     * Creates the worker and listens to it.
+     * @returns {Worker|null} The worker, or null when workers are not available
+     * @private
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker(new URL('./generator.worker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', e => this.handleMessage(e.data));
+            worker.addEventListener('error', e => {
+                e.preventDefault();
+                this.fallBack();
+            });
+            return worker;
+        } catch (err) {
+            console.warn('Generating on the main thread:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Requests point clouds. Any request still waiting is dropped in favor of this one.
+     * The tasks are copied right away, as posting them to the worker would, so later
+     * changes to the curves or parameters do not reach a job that has not started yet.
+     *
+     * @param {GenerationTask[]} tasks - Clouds to generate together
+     * @returns {Promise<PointBuffer[]|null>} One cloud per task, or null when a newer request superseded this one
+     */
+    generate(tasks) {
+        return new Promise((resolve, reject) => {
+            if (this.pending) this.pending.resolve(null);
+            this.pending = { id: this.nextId++, tasks: structuredClone(tasks), resolve, reject };
+            if (this.running && this.worker && performance.now() - this.running.startedAt > CANCEL_AFTER_MS) {
+                this.cancelRunning();
+            }
+            this.startNext();
+        });
+    }
+
+    /**
+     * Waits until every request has been answered.
+     * @returns {Promise<void>} Resolves once no job is running or waiting
+     */
+    idle() {
+        if (!this.running && !this.pending) return Promise.resolve();
+        return new Promise(resolve => this.idleCallbacks.push(resolve));
+    }
+
+    /**
+     * Starts the waiting job if nothing is running.
+     * @private
+     */
+    startNext() {
+        if (this.running) return;
+        if (!this.pending) {
+            this.onProgress(null);
+            this.idleCallbacks.splice(0).forEach(resolve => resolve());
+            return;
+        }
+
+        const job = { ...this.pending, startedAt: performance.now(), progress: 0 };
+        this.pending = null;
+        this.running = job;
+        job.timer = setTimeout(() => {
+            job.shown = true;
+            this.onProgress(job.progress);
+        }, FRAME_MS);
+
+        if (this.worker) {
+            this.worker.postMessage({ id: job.id, tasks: job.tasks });
+        } else {
+            // Still answered asynchronously, like the worker
+            queueMicrotask(() => this.runLocally(job));
+        }
+    }
+
+    /**
+     * Generates a job on the main thread.
+     * @param {Object} job - The running job
+     * @private
+     */
+    runLocally(job) {
+        if (this.running !== job) return;
+        this.localGenerator ??= new SurfaceGenerator();
+        try {
+            this.finish(job, job.tasks.map(({ curves, params }) => this.localGenerator.generate(curves, params)));
+        } catch (err) {
+            this.finish(job, null, err);
+        }
+    }
+
+    /**
+     * Handles a message from the worker.
+     * @param {{type: string, id: number, progress?: number, results?: Array, message?: string}} message - Worker message
+     * @private
+     */
+    handleMessage(message) {
+        const job = this.running;
+        // Messages of a cancelled job can still arrive
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            job.progress = message.progress;
+            if (job.shown) this.onProgress(job.progress);
+        } else if (message.type === 'result') {
+            this.finish(job, message.results.map(({ data, hasNormals, heights }) => PointBuffer.fromData(data, hasNormals, heights)));
+        } else {
+            this.finish(job, null, new Error(message.message));
+        }
+    }
+
+    /**
+     * Answers the running job and starts the next one.
+     * @param {Object} job - The running job
+     * @param {PointBuffer[]|null} results - Generated clouds
+     * @param {Error} [error] - Why the job failed
+     * @private
+     */
+    finish(job, results, error = null) {
+        clearTimeout(job.timer);
+        this.running = null;
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(results);
+        }
+        this.startNext();
+    }
+
+    /**
+     * Stops the running job by replacing the worker.
+     * @private
+     */
+    cancelRunning() {
+        const job = this.running;
+        clearTimeout(job.timer);
+        this.running = null;
+        job.resolve(null);
+        this.worker.terminate();
+        this.worker = this.createWorker();
+    }
+
+    /**
+     * Switches to main-thread generation after the worker failed, and retries
+     * the job it was running unless a newer one is waiting.
+     * @private
+     */
+    fallBack() {
+        console.warn('Generator worker failed, generating on the main thread');
+        this.worker?.terminate();
+        this.worker = null;
+
+        const job = this.running;
+        if (job) {
+            clearTimeout(job.timer);
+            this.running = null;
+            if (this.pending) {
+                job.resolve(null);
+            } else {
+                this.pending = job;
+            }
+        }
+        this.startNext();
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Registry of array modifiers that repeat a generated cloud.
+ *
+ * An array modifier places copies of the cloud: along a line, in a ring around
+ * the Y axis or on a 3D grid. Each copy is a 4x4 matrix plus a color tint, so
+ * the renderer can draw all copies of the same points with GPU instancing and
+ * exports can expand them on the CPU. Modifiers are stacked in order: every
+ * modifier repeats everything the modifiers before it produced, so a linear
+ * array after a radial one gives rows of rings.
+ *
+ * Every copy can also be varied at random: scaled, turned around its own Y
+ * axis and tinted. The variation follows the generation seed.
+ *
+ * @example
+ * const stack = [createArray('radial', { count: 8, radius: 150 })];
+ * const instances = compileArrays(stack, params);
+ * const points = applyInstances(cloud, instances);
+ */
+
+import { createStream } from './noise.js';
+import { transformMatrix, multiplyMatrices } from './scene.js';
+import { PointBuffer } from './PointBuffer.js';
+
+/**
+ * @typedef {Object} ArrayType
+ * @property {string} name - Unique identifier, used as the modifier's `type`
+ * @property {string} label - Name shown in the sidebar
+ * @property {import('./modes.js').ModeParam[]} params - Settings shown in the sidebar; the
+ *   variation settings shared by all array types are added on registration
+ * @property {function(Object): Object[]} placements - Transforms (see `createTransform`) of
+ *   the copies for the given modifier settings
+ */
+
+/**
+ * @typedef {Object} ArrayModifier
+ * @property {string} type - Name of a registered array type
+ * @property {boolean} enabled - Whether the modifier is applied
+ * @property {number} scaleVariation - Random scale of each copy, as a share of its size
+ * @property {number} rotationVariation - Random turn of each copy around its Y axis, in degrees
+ * @property {number} colorVariation - Random tint of each copy, as a share of each color channel
+ */
+
+/**
+ * @typedef {Object} Instance
+ * @property {number[]} matrix - Column-major 4x4 matrix placing the copy
+ * @property {number[]} tint - RGB factors applied to the copy's colors
+ */
+
+/**
+ * Settings shared by all array types.
+ * @type {import('./modes.js').ModeParam[]}
+ */
+const VARIATION_PARAMS = [
+    { key: 'scaleVariation', label: 'Scale Variation', type: 'range', min: 0, max: 1, step: 0.01, default: 0 },
+    { key: 'rotationVariation', label: 'Rotation Variation (°)', type: 'range', min: 0, max: 180, step: 1, default: 0 },
+    { key: 'colorVariation', label: 'Color Variation', type: 'range', min: 0, max: 1, step: 0.01, default: 0 }
+];
+
+/** @type {Map<string, ArrayType>} */
+const registry = new Map();
+
+/**
+ * Adds an array type to the registry, replacing any type with the same name.
+ *
+ * @param {ArrayType} array - The array type definition
+ * @returns {ArrayType} The registered array type
+ */
+export function registerArray(array) {
+    if (!array || typeof array.name !== 'string' || !array.name) {
+        throw new Error('Array type needs a name');
+    }
+    if (typeof array.placements !== 'function') {
+        throw new Error(`Array type "${array.name}" needs a placements function`);
+    }
+
+    const entry = {
+        label: array.name,
+        ...array,
+        params: [...(array.params || []), ...VARIATION_PARAMS]
+    };
+    registry.set(entry.name, entry);
+    return entry;
+}
+
+/**
+ * Looks up a registered array type.
+ *
+ * @param {string} name - Array type name
+ * @returns {ArrayType|undefined} The array type, or undefined if not registered
+ */
+export function getArray(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lists all registered array types in registration order.
+ *
+ * @returns {ArrayType[]} Registered array types
+ */
+export function listArrays() {
+    return [...registry.values()];
+}
+
+/**
+ * Creates an array modifier of the given type with its default settings.
+ *
+ * @param {string} type - Array type name
+ * @param {Object} [overrides] - Settings that replace the defaults
+ * @returns {ArrayModifier} A new array modifier
+ */
+export function createArray(type, overrides = {}) {
+    const array = registry.get(type);
+    if (!array) {
+        const available = listArrays().map(a => a.name).join(', ');
+        throw new Error(`Unknown array type "${type}". Available: ${available}`);
+    }
+
+    const settings = { type, enabled: true };
+    for (const param of array.params) {
+        settings[param.key] = param.default;
+    }
+    return { ...settings, ...overrides };
+}
+
+/**
+ * Compiles an array stack into the list of copies to draw.
+ *
+ * @param {ArrayModifier[]} stack - Array modifiers, applied in order
+ * @param {Object} params - Generation parameters (`seed`)
+ * @returns {Instance[]|null} Copies, or null when no modifier is enabled
+ */
+export function compileArrays(stack = [], params = {}) {
+    const active = stack
+        .filter(a => a.enabled !== false)
+        .map(a => {
+            const type = registry.get(a.type);
+            if (!type) throw new Error(`Unknown array type "${a.type}"`);
+            return { type, settings: a };
+        });
+    if (active.length === 0) return null;
+
+    const random = createStream(params.seed ?? 1, 'arrays');
+    const spread = amount => amount * (random() * 2 - 1);
+
+    let instances = [{ matrix: transformMatrix({}), tint: [1, 1, 1] }];
+    for (const { type, settings } of active) {
+        const copies = type.placements(settings).map(placement => {
+            // Always draw all five numbers so one setting does not reshuffle the others
+            const scale = Math.max(0.01, 1 + spread(settings.scaleVariation));
+            const rotateY = spread(settings.rotationVariation);
+            const tint = [0, 1, 2].map(() => Math.max(0, 1 + spread(settings.colorVariation)));
+            const variation = transformMatrix({ rotateY, scale });
+            return { matrix: multiplyMatrices(transformMatrix(placement), variation), tint };
+        });
+
+        instances = copies.flatMap(copy => instances.map(instance => ({
+            matrix: multiplyMatrices(copy.matrix, instance.matrix),
+            tint: copy.tint.map((t, i) => t * instance.tint[i])
+        })));
+    }
+    return instances;
+}
+
+/**
+ * Expands a cloud into all its copies, for exports and other CPU consumers.
+ * Colors are tinted and clamped like the renderer does.
+ *
+ * @param {PointBuffer} points - Points of one copy
+ * @param {Instance[]|null} instances - Copies from {@link compileArrays}, or null for the points themselves
+ * @returns {PointBuffer} Points of every copy
+ */
+export function applyInstances(points, instances) {
+    if (!instances) return points;
+    return PointBuffer.concat(instances.map(({ matrix, tint }) => points.transformed(matrix, tint)));
+}
+
+// --- Built-in array types ---
+
+registerArray({
+    name: 'linear',
+    label: 'Linear',
+    params: [
+        { key: 'count', label: 'Count', type: 'range', min: 1, max: 50, step: 1, default: 3 },
+        { key: 'offsetX', label: 'Offset X', type: 'number', step: 5, default: 150 },
+        { key: 'offsetY', label: 'Offset Y (Up)', type: 'number', step: 5, default: 0 },
+        { key: 'offsetZ', label: 'Offset Z', type: 'number', step: 5, default: 0 }
+    ],
+    placements({ count, offsetX, offsetY, offsetZ }) {
+        return Array.from({ length: count }, (_, i) => ({ x: i * offsetX, y: i * offsetY, z: i * offsetZ }));
+    }
+});
+
+registerArray({
+    name: 'radial',
+    label: 'Radial',
+    params: [
+        { key: 'count', label: 'Count', type: 'range', min: 1, max: 64, step: 1, default: 6 },
+        { key: 'angle', label: 'Angle (°)', type: 'range', min: -360, max: 360, step: 1, default: 360 },
+        { key: 'radius', label: 'Radius', type: 'number', step: 5, default: 150 }
+    ],
+    placements({ count, angle, radius }) {
+        // A full turn spreads the copies evenly; a partial one puts copies on both ends
+        const full = Math.abs(angle) >= 360;
+        const step = count > 1 ? angle / (full ? count : count - 1) : 0;
+        const rad = Math.PI / 180;
+        return Array.from({ length: count }, (_, i) => {
+            const a = i * step;
+            // Turned around Y like the copy itself, so each copy faces the axis the same way
+            return { x: radius * Math.cos(a * rad), z: -radius * Math.sin(a * rad), rotateY: a };
+        });
+    }
+});
+
+registerArray({
+    name: 'grid',
+    label: 'Grid',
+    params: [
+        { key: 'countX', label: 'Count X', type: 'range', min: 1, max: 20, step: 1, default: 3 },
+        { key: 'countY', label: 'Count Y (Up)', type: 'range', min: 1, max: 20, step: 1, default: 1 },
+        { key: 'countZ', label: 'Count Z', type: 'range', min: 1, max: 20, step: 1, default: 3 },
+        { key: 'spacingX', label: 'Spacing X', type: 'number', step: 5, default: 150 },
+        { key: 'spacingY', label: 'Spacing Y (Up)', type: 'number', step: 5, default: 150 },
+        { key: 'spacingZ', label: 'Spacing Z', type: 'number', step: 5, default: 150 }
+    ],
+    placements({ countX, countY, countZ, spacingX, spacingY, spacingZ }) {
+        // Centered on the grid floor in X and Z, stacked upward in Y
+        const placements = [];
+        for (let j = 0; j < countY; j++) {
+            for (let k = 0; k < countZ; k++) {
+                for (let i = 0; i < countX; i++) {
+                    placements.push({
+                        x: (i - (countX - 1) / 2) * spacingX,
+                        y: j * spacingY,
+                        z: (k - (countZ - 1) / 2) * spacingZ
+                    });
+                }
+            }
+        }
+        return placements;
+    }
+});
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview DOM-free entry point for generating and exporting point clouds.
+ * Shared by the browser app and the `pcg` command line tool so both produce
+ * identical output from the same presets and parameters.
+ */
+
+import { SurfaceGenerator } from './SurfaceGenerator.js';
+import { Exporter } from './Exporter.js';
+import { PointBuffer, POINT_STRIDE } from './PointBuffer.js';
+import { presets, defaultCurves } from './presets.js';
+import { registerMode, getMode, listModes, getModeDefaults } from './modes.js';
+import { registerDeformer, getDeformer, listDeformers, createDeformer } from './deformers.js';
+import { registerPrimitive, getPrimitive, listPrimitives, createShape, defaultShapes } from './sdf.js';
+import { registerArray, getArray, listArrays, createArray, compileArrays, applyInstances } from './arrays.js';
+import { TRANSFORM_PARAMS, createTransform, transformPoints, slugify } from './scene.js';
+
+export {
+    SurfaceGenerator,
+    Exporter,
+    PointBuffer,
+    POINT_STRIDE,
+    presets,
+    defaultCurves,
+    registerMode,
+    getMode,
+    listModes,
+    getModeDefaults,
+    registerDeformer,
+    getDeformer,
+    listDeformers,
+    createDeformer,
+    registerPrimitive,
+    getPrimitive,
+    listPrimitives,
+    createShape,
+    defaultShapes,
+    registerArray,
+    getArray,
+    listArrays,
+    createArray,
+    compileArrays,
+    applyInstances,
+    TRANSFORM_PARAMS,
+    createTransform,
+    transformPoints,
+    slugify
+};
+
+/**
+ * Default generation parameters, matching the initial state of the app.
+ * @type {Object}
+ */
+export const DEFAULT_PARAMS = {
+    mode: 'sweep',
+    densityU: 30,
+    densityV: 30,
+    spacing: 'parametric',
+    adaptive: false,
+    pointBudget: 20000,
+    adaptivity: 0.7,
+    height: 1,
+    color: '#7c4dff',
+    color2: '#00aaff',
+    colorMode: 'solid',
+    noise: 0,
+    seed: 1,
+    noiseType: 'white',
+    noiseFrequency: 3,
+    noiseOctaves: 4,
+    noiseAlongNormal: false,
+    distribution: 'grid',
+    minSpacing: 0,
+    fill: 'none',
+    fillRatio: 0.5,
+    fillShells: 5,
+    fillFalloff: 2,
+    capTop: false,
+    capBottom: false,
+    gridWidth: 400,
+    gridDepth: 400
+};
+
+/**
+ * Default view used for SVG exports when no viewport is available.
+ * @type {Object}
+ */
+export const DEFAULT_VIEW = {
+    angleX: 0,
+    angleY: 0,
+    zoom: 1,
+    offsetX: 0,
+    offsetY: 0,
+    width: 1920,
+    height: 1080,
+    radius: 2,
+    bgColor: '#000000',
+    bgTransparent: false
+};
+
+/**
+ * File formats that can be produced without a canvas.
+ * @type {string[]}
+ */
+export const FORMATS = ['obj', 'ply', 'svg'];
+
+/**
+ * Returns a deep copy of a curve (2D or 3D) so callers can mutate it freely.
+ * The copy stays closed if the curve is.
+ *
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} curve - Curve points
+ * @returns {Array<{x: number, y: number, cp1: Object, cp2: Object}>} Cloned curve
+ */
+export function cloneCurve(curve) {
+    const copy = curve.map(p => ({ ...p, cp1: { ...p.cp1 }, cp2: { ...p.cp2 } }));
+    if (curve.closed) copy.closed = true;
+    return copy;
+}
+
+/**
+ * Returns a deep copy of a list of loft shape keys.
+ *
+ * @param {Array<{v: number, points: Array}>} keys - Shape keys
+ * @returns {Array<{v: number, points: Array}>} Cloned shape keys
+ */
+export function cloneShapeKeys(keys) {
+    return keys.map(key => ({ v: key.v, points: cloneCurve(key.points) }));
+}
+
+/**
+ * Spreads the shared `density` parameter onto `densityU` and `densityV` where
+ * those are not set, so it is not overridden by their defaults.
+ *
+ * @param {Object} params - Generation parameters
+ * @returns {Object} Parameters with per-axis densities
+ */
+function withAxisDensities(params) {
+    if (params.density === undefined) return params;
+    return { densityU: params.density, densityV: params.density, ...params };
+}
+
+/**
+ * Generates a point cloud from a preset (or the default curves) and parameters.
+ * Array modifiers in `params.arrays` are expanded into every copy.
+ *
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.preset] - Key of an entry in `presets`; default curves when omitted
+ * @param {Object} [options.params] - Overrides for {@link DEFAULT_PARAMS}, mode parameters and the preset's own `params`
+ * @returns {PointBuffer} Generated point cloud; `toObjects()` gives `{x, y, z, nx, ny, nz, color}` objects
+ */
+export function generatePointCloud({ preset, params = {} } = {}) {
+    let curves = defaultCurves;
+    if (preset !== undefined) {
+        curves = presets[preset];
+        if (!curves) {
+            throw new Error(`Unknown preset "${preset}". Available: ${Object.keys(presets).join(', ')}`);
+        }
+    }
+
+    const mode = params.mode ?? DEFAULT_PARAMS.mode;
+    if (!getMode(mode)) {
+        const available = listModes().map(m => m.name).join(', ');
+        throw new Error(`Unknown mode "${mode}". Available: ${available}`);
+    }
+
+    const generator = new SurfaceGenerator();
+    const merged = {
+        ...DEFAULT_PARAMS,
+        ...getModeDefaults(mode),
+        ...withAxisDensities(curves.params || {}),
+        ...withAxisDensities(params)
+    };
+    const points = generator.generate(
+        {
+            vertical: cloneCurve(curves.vertical),
+            horizontal: cloneCurve(curves.horizontal),
+            shapeKeys: cloneShapeKeys(curves.shapeKeys || [{ v: 0, points: curves.horizontal }]),
+            path: cloneCurve(curves.path || defaultCurves.path)
+        },
+        merged
+    );
+    return applyInstances(points, compileArrays(merged.arrays, merged));
+}
+
+/**
+ * Ways of writing a scene with several objects: one merged cloud, one group per
+ * object in a single file, or one file per object.
+ * @type {string[]}
+ */
+export const SCENE_LAYOUTS = ['merged', 'groups', 'files'];
+
+/**
+ * Generates every visible object of a scene and places it with its transform.
+ * Deformers, shapes and array modifiers given as plain settings are completed
+ * with their defaults.
+ *
+ * @param {Object} scene - Scene description
+ * @param {Object} [scene.params] - Parameters shared by all objects, such as `gridWidth`
+ * @param {Array<{name?: string, preset?: string, params?: Object, transform?: Object, visible?: boolean}>} scene.objects -
+ *   Objects, each with its own preset, parameters and transform
+ * @returns {Array<{name: string, points: PointBuffer}>} One named point list per visible object
+ */
+export function generateScene({ params: shared = {}, objects = [] }) {
+    return objects
+        .map((object, index) => ({ object, name: object.name || `Object ${index + 1}` }))
+        .filter(({ object }) => object.visible !== false)
+        .map(({ object, name }) => {
+            const params = { ...shared, ...object.params };
+            if (params.deformers) params.deformers = params.deformers.map(d => createDeformer(d.type, d));
+            if (params.shapes) params.shapes = params.shapes.map(s => createShape(s.type, s));
+            if (params.arrays) params.arrays = params.arrays.map(a => createArray(a.type, a));
+            const points = generatePointCloud({ preset: object.preset, params });
+            return { name, points: transformPoints(points, createTransform(object.transform)) };
+        });
+}
+
+/**
+ * Serializes the objects of a scene into a single file. With the `groups`
+ * layout OBJ files get one object per group and PLY files an `object` index
+ * per vertex; SVG is always merged so points stay sorted by depth.
+ *
+ * @param {Array<{name: string, points: PointBuffer}>} groups - Objects from {@link generateScene}
+ * @param {'obj'|'ply'|'svg'} format - Output format
+ * @param {Object} [options] - Export options
+ * @param {'merged'|'groups'} [options.layout='merged'] - Whether to keep the objects apart
+ * @param {Object} [options.view] - Overrides for {@link DEFAULT_VIEW} (SVG only)
+ * @returns {string} File contents
+ */
+export function exportScene(groups, format, { layout = 'merged', view = {} } = {}) {
+    if (layout === 'groups' && format === 'obj') return Exporter.buildGroupedOBJ(groups);
+    if (layout === 'groups' && format === 'ply') return Exporter.buildGroupedPLY(groups);
+    return exportPointCloud(PointBuffer.concat(groups.map(group => group.points)), format, view);
+}
+
+/**
+ * Serializes a point cloud into one of the supported {@link FORMATS}.
+ *
+ * @param {PointBuffer|Array<{x: number, y: number, z: number, color: string}>} points - The points to export
+ * @param {'obj'|'ply'|'svg'} format - Output format
+ * @param {Object} [view] - Overrides for {@link DEFAULT_VIEW} (SVG only)
+ * @returns {string} File contents
+ */
+export function exportPointCloud(points, format, view = {}) {
+    switch (format) {
+        case 'obj':
+            return Exporter.buildOBJ(points);
+        case 'ply':
+            return Exporter.buildPLY(points);
+        case 'svg': {
+            const v = { ...DEFAULT_VIEW, ...view };
+            return Exporter.buildSVG(
+                points,
+                v.angleX,
+                v.angleY,
+                v.zoom,
+                v.offsetX,
+                v.offsetY,
+                v.width,
+                v.height,
+                v.radius,
+                v.bgColor,
+                v.bgTransparent
+            );
+        }
+        default:
+            throw new Error(`Unknown format "${format}". Available: ${FORMATS.join(', ')}`);
+    }
+}
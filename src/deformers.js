@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Registry of deformers applied on top of any geometry mode.
+ *
+ * A deformer moves positions after the geometry mode has computed them, based
+ * on the point's normalized height t (0 at the base, 1 at the full height of
+ * the grid). Deformers are stacked in order; each one has its own strength and
+ * an optional falloff curve that sets how much of the effect applies at each
+ * height. Without a falloff curve the effect ramps up linearly with height.
+ *
+ * @example
+ * const stack = [createDeformer('twist', { strength: 180 }), createDeformer('taper')];
+ * generator.generate(curves, { ...params, deformers: stack });
+ */
+
+import { buildCurveLookup } from './math.js';
+
+/**
+ * @typedef {Object} DeformerType
+ * @property {string} name - Unique identifier, used as the deformer's `type`
+ * @property {string} label - Name shown in the sidebar
+ * @property {import('./modes.js').ModeParam[]} params - Settings shown in the sidebar
+ * @property {function(Object, number, Object, Object): void} apply - Moves a position in place,
+ *   given (position, amount, deformer, context); `amount` is the falloff at the point's height
+ *   and `context.height` is the world-space height of the grid
+ */
+
+/**
+ * @typedef {Object} Deformer
+ * @property {string} type - Name of a registered deformer type
+ * @property {boolean} enabled - Whether the deformer is applied
+ * @property {Array|null} falloff - Falloff curve (amount over height), or null for a linear ramp
+ */
+
+/** @type {Map<string, DeformerType>} */
+const registry = new Map();
+
+/**
+ * Adds a deformer type to the registry, replacing any type with the same name.
+ *
+ * @param {DeformerType} deformer - The deformer definition
+ * @returns {DeformerType} The registered deformer type
+ */
+export function registerDeformer(deformer) {
+    if (!deformer || typeof deformer.name !== 'string' || !deformer.name) {
+        throw new Error('Deformer needs a name');
+    }
+    if (typeof deformer.apply !== 'function') {
+        throw new Error(`Deformer "${deformer.name}" needs an apply function`);
+    }
+
+    const entry = {
+        label: deformer.name,
+        params: [],
+        ...deformer
+    };
+    registry.set(entry.name, entry);
+    return entry;
+}
+
+/**
+ * Looks up a registered deformer type.
+ *
+ * @param {string} name - Deformer type name
+ * @returns {DeformerType|undefined} The deformer type, or undefined if not registered
+ */
+export function getDeformer(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lists all registered deformer types in registration order.
+ *
+ * @returns {DeformerType[]} Registered deformer types
+ */
+export function listDeformers() {
+    return [...registry.values()];
+}
+
+/**
+ * Creates a deformer of the given type with its default settings.
+ *
+ * @param {string} type - Deformer type name
+ * @param {Object} [overrides] - Settings that replace the defaults
+ * @returns {Deformer} A new deformer
+ */
+export function createDeformer(type, overrides = {}) {
+    const deformer = registry.get(type);
+    if (!deformer) {
+        const available = listDeformers().map(d => d.name).join(', ');
+        throw new Error(`Unknown deformer "${type}". Available: ${available}`);
+    }
+
+    const settings = { type, enabled: true, falloff: null };
+    for (const param of deformer.params) {
+        settings[param.key] = param.default;
+    }
+    return { ...settings, ...overrides };
+}
+
+/**
+ * Compiles a deformer stack into a single function that deforms a position.
+ * Falloff curves are tabulated once here rather than per point.
+ *
+ * @param {Deformer[]} stack - Deformers, applied in order
+ * @param {Object} params - Generation parameters (`height`, `gridWidth`)
+ * @returns {function({x: number, y: number, z: number}): {x: number, y: number, z: number}|null}
+ *   Function returning a deformed copy of a position, or null when nothing is enabled
+ */
+export function compileDeformers(stack = [], params) {
+    const active = stack
+        .filter(d => d.enabled !== false)
+        .map(d => {
+            const type = registry.get(d.type);
+            if (!type) throw new Error(`Unknown deformer "${d.type}"`);
+            return { type, settings: d, lookup: d.falloff ? buildCurveLookup(d.falloff) : null };
+        });
+    if (active.length === 0) return null;
+
+    const context = { height: Math.max(1e-6, params.height * (params.gridWidth / 2)) };
+
+    return (pos) => {
+        const p = { x: pos.x, y: pos.y, z: pos.z };
+        for (const { type, settings, lookup } of active) {
+            // Height is measured before this deformer runs, so stacked bends compose
+            const t = Math.max(0, Math.min(1, -p.y / context.height));
+            const amount = lookup ? sampleLookup(lookup, t) : t;
+            type.apply(p, amount, settings, context);
+        }
+        return p;
+    };
+}
+
+/**
+ * Reads a curve lookup table with linear interpolation.
+ * @param {Float32Array} lookup - Table from buildCurveLookup
+ * @param {number} t - Position in range [0, 1]
+ * @returns {number} Interpolated value
+ * @private
+ */
+function sampleLookup(lookup, t) {
+    const f = t * (lookup.length - 1);
+    const i = Math.min(lookup.length - 2, Math.floor(f));
+    const w = f - i;
+    return lookup[i] + (lookup[i + 1] - lookup[i]) * w;
+}
+
+// --- Built-in deformers ---
+
+const AXIS_OPTIONS = [
+    { value: 'x', label: 'X' },
+    { value: 'z', label: 'Z' }
+];
+
+registerDeformer({
+    name: 'twist',
+    label: 'Twist',
+    params: [
+        { key: 'strength', label: 'Angle (°)', type: 'range', min: -720, max: 720, step: 1, default: 90 }
+    ],
+    apply(p, amount, { strength }) {
+        const angle = strength * amount * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const x = p.x * cos - p.z * sin;
+        p.z = p.x * sin + p.z * cos;
+        p.x = x;
+    }
+});
+
+registerDeformer({
+    name: 'taper',
+    label: 'Taper',
+    params: [
+        { key: 'strength', label: 'Strength', type: 'range', min: -2, max: 1, step: 0.01, default: 0.5 },
+        {
+            key: 'axis', label: 'Axis', type: 'select', default: 'xz',
+            options: [{ value: 'xz', label: 'X and Z' }, ...AXIS_OPTIONS]
+        }
+    ],
+    apply(p, amount, { strength, axis }) {
+        const scale = 1 - strength * amount;
+        if (axis !== 'z') p.x *= scale;
+        if (axis !== 'x') p.z *= scale;
+    }
+});
+
+registerDeformer({
+    name: 'bend',
+    label: 'Bend',
+    params: [
+        { key: 'strength', label: 'Angle (°)', type: 'range', min: -360, max: 360, step: 1, default: 90 },
+        { key: 'axis', label: 'Toward', type: 'select', default: 'x', options: AXIS_OPTIONS }
+    ],
+    apply(p, amount, { strength, axis }, { height }) {
+        const total = strength * Math.PI / 180;
+        if (Math.abs(total) < 1e-6) return;
+
+        // Wrap the column around a circle whose arc length equals its height
+        const radius = height / total;
+        const angle = total * amount;
+        const offset = radius - p[axis];
+        // Below the base and above the top the column goes on straight along the end tangent
+        const up = -p.y;
+        const beyond = up - Math.max(0, Math.min(height, up));
+        p[axis] = radius - offset * Math.cos(angle) + beyond * Math.sin(angle);
+        p.y = -offset * Math.sin(angle) - beyond * Math.cos(angle);
+    }
+});
+
+registerDeformer({
+    name: 'shear',
+    label: 'Shear',
+    params: [
+        { key: 'strength', label: 'Strength', type: 'range', min: -2, max: 2, step: 0.01, default: 0.5 },
+        { key: 'axis', label: 'Toward', type: 'select', default: 'x', options: AXIS_OPTIONS }
+    ],
+    apply(p, amount, { strength, axis }, { height }) {
+        p[axis] += strength * amount * height;
+    }
+});
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Small sandboxed math expression evaluator.
+ *
+ * Expressions are parsed into a tree of closures instead of being passed to
+ * `eval` or `Function`, so they can only read the variables they are given and
+ * call the whitelisted math functions below. Supported syntax: numbers
+ * (including `1e-3`), variables, `+ - * / %`, `^` or `**` for powers,
+ * parentheses and function calls.
+ *
+ * @example
+ * const f = compileExpression('(2 + cos(v)) * cos(u)', ['u', 'v']);
+ * f({ u: 0, v: Math.PI }); // 1
+ */
+
+/**
+ * Functions that expressions may call, with their number of arguments
+ * (`-1` for any number of at least one).
+ * @type {Object<string, {fn: Function, arity: number}>}
+ */
+const FUNCTIONS = Object.freeze({
+    sin: { fn: Math.sin, arity: 1 },
+    cos: { fn: Math.cos, arity: 1 },
+    tan: { fn: Math.tan, arity: 1 },
+    asin: { fn: Math.asin, arity: 1 },
+    acos: { fn: Math.acos, arity: 1 },
+    atan: { fn: Math.atan, arity: 1 },
+    atan2: { fn: Math.atan2, arity: 2 },
+    sinh: { fn: Math.sinh, arity: 1 },
+    cosh: { fn: Math.cosh, arity: 1 },
+    tanh: { fn: Math.tanh, arity: 1 },
+    sqrt: { fn: Math.sqrt, arity: 1 },
+    cbrt: { fn: Math.cbrt, arity: 1 },
+    abs: { fn: Math.abs, arity: 1 },
+    sign: { fn: Math.sign, arity: 1 },
+    exp: { fn: Math.exp, arity: 1 },
+    log: { fn: Math.log, arity: 1 },
+    log2: { fn: Math.log2, arity: 1 },
+    log10: { fn: Math.log10, arity: 1 },
+    pow: { fn: Math.pow, arity: 2 },
+    floor: { fn: Math.floor, arity: 1 },
+    ceil: { fn: Math.ceil, arity: 1 },
+    round: { fn: Math.round, arity: 1 },
+    min: { fn: Math.min, arity: -1 },
+    max: { fn: Math.max, arity: -1 },
+    hypot: { fn: Math.hypot, arity: -1 },
+    mod: { fn: (a, b) => a - b * Math.floor(a / b), arity: 2 },
+    clamp: { fn: (x, lo, hi) => Math.min(hi, Math.max(lo, x)), arity: 3 },
+    mix: { fn: (a, b, t) => a + (b - a) * t, arity: 3 }
+});
+
+/**
+ * Named constants available in every expression.
+ * @type {Object<string, number>}
+ */
+const CONSTANTS = Object.freeze({
+    pi: Math.PI,
+    tau: Math.PI * 2,
+    e: Math.E
+});
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} source - Expression text
+ * @returns {Array<{type: string, value: *, index: number}>} Tokens, ending with an `end` token
+ * @private
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), index: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const name = /^[A-Za-z_]\w*/.exec(source.slice(i));
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], index: i });
+            i += name[0].length;
+            continue;
+        }
+
+        if (source.startsWith('**', i)) {
+            tokens.push({ type: 'op', value: '^', index: i });
+            i += 2;
+            continue;
+        }
+        if ('+-*/%^(),'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, index: i });
+            i++;
+            continue;
+        }
+
+        throw new Error(`Unexpected "${ch}" at position ${i + 1}`);
+    }
+    tokens.push({ type: 'end', value: null, index: source.length });
+    return tokens;
+}
+
+/**
+ * Compiles an expression into a function of the given variables.
+ * Unknown names, wrong argument counts and syntax errors are reported when
+ * compiling, with the 1-based position of the problem in the message.
+ *
+ * @param {string} source - Expression text
+ * @param {string[]} [variables] - Names the expression may read
+ * @returns {function(Object<string, number>): number} Function evaluating the expression for a scope
+ * @throws {Error} When the expression is invalid
+ */
+export function compileExpression(source, variables = []) {
+    const text = String(source);
+    const tokens = tokenize(text);
+    const allowed = new Set(variables);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const describe = token => (token.type === 'end' ? 'end of expression' : `"${token.value}"`);
+    const fail = (token, message) => {
+        throw new Error(`${message || `Unexpected ${describe(token)}`} at position ${token.index + 1}`);
+    };
+    const accept = value => {
+        if (peek().type === 'op' && peek().value === value) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    const expect = value => {
+        if (!accept(value)) fail(peek(), `Expected "${value}" but found ${describe(peek())}`);
+    };
+
+    // Grammar, lowest precedence first:
+    //   additive := multiplicative (("+" | "-") multiplicative)*
+    //   multiplicative := unary (("*" | "/" | "%") unary)*
+    //   unary := ("+" | "-") unary | power
+    //   power := primary ("^" unary)?
+    const parseAdditive = () => {
+        let left = parseMultiplicative();
+        for (;;) {
+            if (accept('+')) {
+                const a = left, b = parseMultiplicative();
+                left = scope => a(scope) + b(scope);
+            } else if (accept('-')) {
+                const a = left, b = parseMultiplicative();
+                left = scope => a(scope) - b(scope);
+            } else {
+                return left;
+            }
+        }
+    };
+
+    const parseMultiplicative = () => {
+        let left = parseUnary();
+        for (;;) {
+            if (accept('*')) {
+                const a = left, b = parseUnary();
+                left = scope => a(scope) * b(scope);
+            } else if (accept('/')) {
+                const a = left, b = parseUnary();
+                left = scope => a(scope) / b(scope);
+            } else if (accept('%')) {
+                const a = left, b = parseUnary();
+                left = scope => a(scope) % b(scope);
+            } else {
+                return left;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        if (accept('-')) {
+            const a = parseUnary();
+            return scope => -a(scope);
+        }
+        if (accept('+')) return parseUnary();
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!accept('^')) return base;
+        // Right-associative, and binds tighter than a unary minus on its left: -2^2 = -4
+        const exponent = parseUnary();
+        return scope => Math.pow(base(scope), exponent(scope));
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number') {
+            pos++;
+            const value = token.value;
+            return () => value;
+        }
+
+        if (token.type === 'name') {
+            pos++;
+            const name = token.value;
+            if (accept('(')) {
+                if (!Object.hasOwn(FUNCTIONS, name)) fail(token, `Unknown function "${name}"`);
+                const { fn, arity } = FUNCTIONS[name];
+                const args = [];
+                if (!accept(')')) {
+                    do {
+                        args.push(parseAdditive());
+                    } while (accept(','));
+                    expect(')');
+                }
+                if (arity === -1 ? args.length === 0 : args.length !== arity) {
+                    const count = arity === -1 ? 'at least 1 argument' : `${arity} argument${arity === 1 ? '' : 's'}`;
+                    fail(token, `"${name}" expects ${count}`);
+                }
+                if (args.length === 1) {
+                    const [a] = args;
+                    return scope => fn(a(scope));
+                }
+                return scope => fn(...args.map(arg => arg(scope)));
+            }
+            if (allowed.has(name)) return scope => scope[name];
+            if (Object.hasOwn(CONSTANTS, name)) {
+                const value = CONSTANTS[name];
+                return () => value;
+            }
+            if (Object.hasOwn(FUNCTIONS, name)) fail(token, `"${name}" is a function and needs arguments`);
+            fail(token, `Unknown name "${name}"`);
+        }
+
+        if (accept('(')) {
+            const inner = parseAdditive();
+            expect(')');
+            return inner;
+        }
+
+        return fail(token, token.type === 'end' ? 'Expression is incomplete' : undefined);
+    };
+
+    if (peek().type === 'end') fail(peek(), 'Expression is empty');
+    const evaluate = parseAdditive();
+    if (peek().type !== 'end') fail(peek());
+    return evaluate;
+}
+
+/**
+ * Checks an expression without keeping the compiled function.
+ *
+ * @param {string} source - Expression text
+ * @param {string[]} [variables] - Names the expression may read
+ * @returns {string|null} The error message, or null when the expression is valid
+ */
+export function validateExpression(source, variables = []) {
+    try {
+        compileExpression(source, variables);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
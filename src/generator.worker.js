@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Web Worker that generates point clouds off the main thread.
+ *
+ * Each message is one job: `{ id, tasks: [{ curves, params }] }`. Every task is
+ * generated with a SurfaceGenerator, and the point data is posted back as
+ * transferred ArrayBuffers, so nothing is copied on the way out. While a job
+ * runs, `progress` messages report the share of it that is done. See
+ * `WorkerGenerator.js` for the main-thread side.
+ */
+
+import { SurfaceGenerator } from './SurfaceGenerator.js';
+
+const generator = new SurfaceGenerator();
+
+self.addEventListener('message', ({ data: { id, tasks } }) => {
+    try {
+        const results = tasks.map(({ curves, params }, index) => {
+            const points = generator.generate(curves, params, fraction => {
+                self.postMessage({ type: 'progress', id, progress: (index + fraction) / tasks.length });
+            });
+            return { data: points.data, hasNormals: points.hasNormals, heights: points.heights };
+        });
+        self.postMessage({ type: 'result', id, results }, results.flatMap(result => [result.data.buffer, result.heights.buffer]));
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+});
@@ -9,34 +9,103 @@
 import './style.css';
 import { CurveEditor } from './CurveEditor.js';
 import { WebGPURenderer } from './WebGPURenderer.js';
+import { WorkerGenerator } from './WorkerGenerator.js';
 import { SurfaceGenerator } from './SurfaceGenerator.js';
 import { Exporter } from './Exporter.js';
+import { PointBuffer } from './PointBuffer.js';
+import { History } from './History.js';
 import { presets } from './presets.js';
+import {
+  DEFAULT_PARAMS,
+  defaultCurves,
+  cloneCurve,
+  cloneShapeKeys,
+  exportPointCloud,
+  exportScene
+} from './core.js';
+import { getMode, listModes, getModeDefaults } from './modes.js';
+import { getDeformer, listDeformers, createDeformer } from './deformers.js';
+import { getPrimitive, listPrimitives, createShape, defaultShapes } from './sdf.js';
+import { getArray, listArrays, createArray, compileArrays, applyInstances } from './arrays.js';
+import { TRANSFORM_PARAMS, createTransform, transformMatrix, multiplyMatrices, slugify } from './scene.js';
 
 /**
  * Application state object containing all generation parameters.
  * @type {Object}
  */
 const state = {
-  density: 30,
-  height: 1,
+  ...DEFAULT_PARAMS,
   radius: 2,
-  color: '#7c4dff',
-  color2: '#00aaff',
-  colorMode: 'solid',
-  noise: 0,
   autoRotate: false,
-  gridWidth: 400,
-  gridDepth: 400,
-  bloom: 0
+  bloom: 0,
+  shading: false,
+  deformers: [],
+  shapes: defaultShapes(),
+  arrays: []
 };
 
+/**
+ * Settings of `state` that belong to the whole scene rather than to one object.
+ * @type {string[]}
+ */
+const SCENE_KEYS = ['radius', 'autoRotate', 'bloom', 'shading', 'gridWidth', 'gridDepth'];
+
+/**
+ * Settings of an object that only change its colors, so its points can be
+ * recolored without generating them again.
+ * @type {string[]}
+ */
+const COLOR_KEYS = ['color', 'color2', 'colorMode'];
+
+/**
+ * Objects of the scene. The selected object's settings live in `state` and its
+ * curves in the editors; the others keep their own copies (`params`, `curves`)
+ * and the points they generated last.
+ * @type {Array<{name: string, visible: boolean, transform: Object, params: ?Object, curves: ?Object, points: Array}>}
+ */
+let objects = [createSceneObject('Object 1')];
+
+/** Index of the selected object. */
+let activeObject = 0;
+
+/** Grid size the unselected objects were generated with. */
+let generatedGrid = `${state.gridWidth}x${state.gridDepth}`;
+
+/**
+ * Undo/redo history of the scene, created once the app is set up.
+ * @type {History|null}
+ */
+let sceneHistory = null;
+
+/** Label for the next history entry, for changes that name themselves (e.g., preset loads). */
+let pendingHistoryLabel = null;
+
+/**
+ * View settings of `state` that undo leaves alone.
+ * @type {string[]}
+ */
+const UNDOABLE_IGNORED_KEYS = ['autoRotate', 'bloom', 'shading'];
+
 // --- DOM Elements ---
 const verticalCanvasId = 'vertical-editor';
 const horizontalCanvasId = 'horizontal-editor';
+const pathTopCanvasId = 'path-top-editor';
+const pathFrontCanvasId = 'path-front-editor';
 const mainCanvasId = 'main-viewport';
 
-const elDensity = document.getElementById('param-density');
+const elDensityU = document.getElementById('param-density-u');
+const elDensityV = document.getElementById('param-density-v');
+const elAdaptive = document.getElementById('param-adaptive');
+const elPointBudget = document.getElementById('param-point-budget');
+const elAdaptivity = document.getElementById('param-adaptivity');
+const elDistribution = document.getElementById('param-distribution');
+const elMinSpacing = document.getElementById('param-min-spacing');
+const elCapTop = document.getElementById('param-cap-top');
+const elCapBottom = document.getElementById('param-cap-bottom');
+const elFill = document.getElementById('param-fill');
+const elFillRatio = document.getElementById('param-fill-ratio');
+const elFillShells = document.getElementById('param-fill-shells');
+const elFillFalloff = document.getElementById('param-fill-falloff');
 const elHeight = document.getElementById('param-height');
 const elZoom = document.getElementById('param-zoom');
 const elRadius = document.getElementById('param-radius');
@@ -44,6 +113,12 @@ const elColor = document.getElementById('param-color');
 const elColor2 = document.getElementById('param-color2');
 const elColorMode = document.getElementById('param-color-mode');
 const elNoise = document.getElementById('param-noise');
+const elNoiseType = document.getElementById('param-noise-type');
+const elNoiseFrequency = document.getElementById('param-noise-frequency');
+const elNoiseOctaves = document.getElementById('param-noise-octaves');
+const elNoiseNormal = document.getElementById('param-noise-normal');
+const elSeed = document.getElementById('param-seed');
+const btnSeedRandom = document.getElementById('btn-seed-random');
 const elMode = document.getElementById('param-mode');
 const elBgColor = document.getElementById('param-bg-color');
 const elBgTransparent = document.getElementById('param-bg-transparent');
@@ -51,81 +126,141 @@ const elAutoRotate = document.getElementById('param-auto-rotate');
 const elShowAxes = document.getElementById('param-show-axes');
 const elShowGrid = document.getElementById('param-show-grid');
 const elBloom = document.getElementById('param-bloom');
+const elShading = document.getElementById('param-shading');
 const valBloom = document.getElementById('val-bloom');
 const elAspect = document.getElementById('param-aspect');
 const elPreset = document.getElementById('param-preset');
 const elGridWidth = document.getElementById('param-grid-width');
 const elGridDepth = document.getElementById('param-grid-depth');
+const elModeParams = document.getElementById('mode-params');
+const elSpacing = document.getElementById('param-spacing');
+const elImplicitShapes = document.getElementById('implicit-shapes');
 
 // Value displays
-const valDensity = document.getElementById('val-density');
+const valDensityU = document.getElementById('val-density-u');
+const valDensityV = document.getElementById('val-density-v');
+const valAdaptivity = document.getElementById('val-adaptivity');
+const valFillRatio = document.getElementById('val-fill-ratio');
+const valFillShells = document.getElementById('val-fill-shells');
+const valFillFalloff = document.getElementById('val-fill-falloff');
 const valHeight = document.getElementById('val-height');
 const valRadius = document.getElementById('val-radius');
 const valZoom = document.getElementById('val-zoom');
 const valNoise = document.getElementById('val-noise');
+const valNoiseFrequency = document.getElementById('val-noise-frequency');
+const valNoiseOctaves = document.getElementById('val-noise-octaves');
 
 const btnExportPng = document.getElementById('btn-export-png');
 const btnExportSvg = document.getElementById('btn-export-svg');
 const btnExportObj = document.getElementById('btn-export-obj');
+const btnExportPly = document.getElementById('btn-export-ply');
 const btnReset = document.getElementById('btn-reset');
+const elGenerationProgress = document.getElementById('generation-progress');
+const elGenerationProgressBar = elGenerationProgress.querySelector('.generation-progress-bar');
+const elMemoryWarning = document.getElementById('memory-warning');
 
 // Sidebar toggle
 const sidebar = document.getElementById('sidebar');
 
 // --- Components ---
-const generator = new SurfaceGenerator();
+const generation = new WorkerGenerator({ onProgress: showGenerationProgress });
+// Only used to estimate point counts before generating
+const estimator = new SurfaceGenerator();
 const renderer = new WebGPURenderer(mainCanvasId);
 
-// Update Logic
+/**
+ * Curve editor sections that geometry modes can enable and label.
+ * The name is used for the title when the active mode does not use the editor.
+ */
+const editorSections = {
+  vertical: { canvasId: verticalCanvasId, name: 'Profile' },
+  horizontal: { canvasId: horizontalCanvasId, name: 'Shape' }
+};
+
 // Update Logic
 
 /**
  * Main update loop.
  * Synchronizes UI components, regenerates geometry, and triggers rendering.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.colorsOnly=false] - Only color settings changed, so the selected
+ *   object's points are recolored in place instead of generated again
  */
-function update() {
-  // Sync geometry mode
-  window.geometryMode = elMode.value;
-
-  // UI Feedback: Show/Hide editors or labels based on mode
-  const hSection = document.getElementById('horizontal-editor').closest('.panel-section');
-  const hLabel = hSection.querySelector('.section-title');
-  const vLabel = document.getElementById('vertical-editor').closest('.panel-section').querySelector('.section-title');
-
-  if (window.geometryMode === 'revolution') {
-    hSection.style.opacity = '0.3';
-    hSection.style.pointerEvents = 'none';
-    hLabel.textContent = 'Shape (Disabled)';
-    vLabel.textContent = 'Profile (Vertical)';
-  } else if (window.geometryMode === 'sheet') {
-    hSection.style.opacity = '1';
-    hSection.style.pointerEvents = 'auto';
-    hLabel.textContent = 'X Profile';
-    vLabel.textContent = 'Z Profile';
-  } else {
-    hSection.style.opacity = '1';
-    hSection.style.pointerEvents = 'auto';
-    hLabel.textContent = 'Shape (Horizontal)';
-    vLabel.textContent = 'Profile (Vertical)';
+function update({ colorsOnly = false } = {}) {
+  // UI Feedback: Enable and label editors based on what the mode uses
+  const mode = getMode(state.mode);
+  Object.entries(editorSections).forEach(([key, { canvasId, name }]) => {
+    const section = document.getElementById(canvasId).closest('.panel-section');
+    const label = section.querySelector('.section-title');
+    const editorLabel = mode.editors[key];
+
+    section.style.opacity = editorLabel ? '1' : '0.3';
+    section.style.pointerEvents = editorLabel ? 'auto' : 'none';
+    label.textContent = editorLabel || `${name} (Disabled)`;
+  });
+
+  // The path editors are only shown for modes that use them
+  const pathSection = document.getElementById('path-section');
+  const showPath = Boolean(mode.editors.path);
+  if (pathSection.classList.contains('hidden') === showPath) {
+    pathSection.classList.toggle('hidden', !showPath);
+    pathSection.querySelector('.section-title').textContent = mode.editors.path || 'Path (3D)';
+    if (showPath) {
+      // Canvases are sized from their container, which had no size while hidden
+      pathTopEditor.resize();
+      pathFrontEditor.resize();
+    }
   }
 
+  modeParamGroups.forEach(({ param, group }) => {
+    group.classList.toggle('hidden', Boolean(param.visible) && !param.visible(state));
+  });
+  // The implicit shape list only applies when the scene is built from primitives
+  elImplicitShapes.classList.toggle('hidden', !mode.editors.shapes || state.implicitSource === 'expression');
+
   // Sync Values
-  valDensity.value = state.density;
+  valDensityU.value = state.densityU;
+  valDensityV.value = state.densityV;
+  valAdaptivity.textContent = state.adaptivity.toFixed(2);
+  document.querySelectorAll('.adaptive-only').forEach(el => el.classList.toggle('hidden', !state.adaptive));
+  // Fill options only apply to modes that can fill their solids
+  const filling = Boolean(mode.fill) && state.fill !== 'none';
+  // Scattered distributions spend the point budget instead of the densities
+  const scattered = state.distribution !== 'grid';
+  document.querySelectorAll('.budget-only').forEach(el => el.classList.toggle('hidden', !state.adaptive && !filling && !scattered));
+  // Caps only apply to modes whose ends are closed outlines; like the generator,
+  // ask with the prepared curves of the selected object
+  const activeCurves = { vertical: verticalEditor.points, horizontal: horizontalEditor.points, shapeKeys, path: pathTopEditor.points };
+  const capped = Boolean(mode.caps)
+    && mode.caps(state, mode.prepare ? mode.prepare(activeCurves, state) : activeCurves);
+  document.querySelectorAll('.caps-only').forEach(el => el.classList.toggle('hidden', !capped));
+  document.querySelectorAll('.poisson-only').forEach(el => el.classList.toggle('hidden', state.distribution !== 'poisson'));
+  document.querySelectorAll('.fill-only').forEach(el => {
+    const visible = Boolean(mode.fill)
+      && (!el.classList.contains('fill-active-only') || filling)
+      && (!el.classList.contains('fill-shells-only') || state.fill === 'shells')
+      && (!el.classList.contains('fill-falloff-only') || state.fill === 'falloff');
+    el.classList.toggle('hidden', !visible);
+  });
+  valFillRatio.textContent = state.fillRatio.toFixed(2);
+  valFillShells.textContent = state.fillShells;
+  valFillFalloff.textContent = state.fillFalloff.toFixed(1);
   valHeight.textContent = state.height.toFixed(1);
   valRadius.textContent = state.radius.toFixed(1);
   valZoom.textContent = renderer.zoom.toFixed(1);
   valNoise.textContent = state.noise.toFixed(2);
-
-  // 1. Get Curves
-  const vCurve = verticalEditor.points;
-  const hCurve = horizontalEditor.points;
-
-  // 2. Generate Points
-  const points = generator.generate(
-    vCurve,
-    hCurve,
-    state
-  );
+  valNoiseFrequency.textContent = state.noiseFrequency.toFixed(1);
+  valNoiseOctaves.textContent = state.noiseOctaves;
+
+  // Color changes recolor the points already generated; anything else
+  // generates them again in the worker
+  storeActiveObject();
+  const points = objects[activeObject].points;
+  if (colorsOnly && points && SurfaceGenerator.recolor(points, state)) {
+    renderer.updateColors(sceneBatches());
+  } else {
+    generateObjects(activeCurves);
+  }
 
   // 3. Render
   renderer.pointRadius = state.radius;
@@ -142,12 +277,114 @@ function update() {
     renderer.canvas.classList.remove('checkerboard-enabled');
   }
 
-  renderer.setPoints(points);
+  // 4. History
+  recordHistory();
+}
+
+/**
+ * Generates the selected object in the worker, and the others too when the
+ * shared grid size changed, then hands the new points to the renderer.
+ * Scenes that would not fit in memory are turned down, keeping the last cloud.
+ * @param {Object} activeCurves - Curves of the selected object, as drawn in the editors
+ */
+function generateObjects(activeCurves) {
+  const grid = `${state.gridWidth}x${state.gridDepth}`;
+  const tasks = objects
+    .map((object, index) => index === activeObject
+      ? { object, curves: activeCurves, params: state }
+      : { object, curves: object.curves, params: { ...state, ...object.params } })
+    .filter(({ object }) => object === objects[activeObject] || grid !== generatedGrid);
+
+  // Objects that are not generated again keep the points they have
+  const memory = renderer.checkMemory(
+    objects.reduce((sum, object) => {
+      const task = tasks.find(task => task.object === object);
+      return sum + (task ? estimator.estimatePointCount(task.curves, task.params) : object.points?.length ?? 0);
+    }, 0),
+    objects.filter(object => object.visible).reduce((sum, object) => sum + objectInstances(object).length, 0)
+  );
+  showMemoryWarning(memory);
+
+  if (memory.fits) {
+    const requestedColors = tasks.map(({ params }) => colorSettings(params));
+    generation.generate(tasks.map(({ curves, params }) => ({ curves, params })))
+      .then(results => {
+        // A newer update superseded this one
+        if (!results) return;
+        results.forEach((points, i) => {
+          const { object } = tasks[i];
+          object.points = points;
+          // Colors changed while the job ran, without starting another one
+          const current = object === objects[activeObject] ? state : { ...state, ...object.params };
+          if (colorSettings(current) !== requestedColors[i]) SurfaceGenerator.recolor(points, current);
+        });
+        generatedGrid = grid;
+        renderer.setBatches(sceneBatches());
+      })
+      .catch(err => console.error('Generation failed:', err));
+  }
+}
+
+/**
+ * Color settings of an object, joined so they compare as one string.
+ * @param {Object} params - Settings of the object
+ * @returns {string} Its `COLOR_KEYS` values
+ */
+function colorSettings(params) {
+  return COLOR_KEYS.map(key => params[key]).join();
+}
+
+/**
+ * Shows how far the running generation job is, or hides the bar.
+ * @param {?number} fraction - Share of the job that is done [0-1], or null when nothing is generating
+ */
+function showGenerationProgress(fraction) {
+  elGenerationProgress.classList.toggle('hidden', fraction === null);
+  elGenerationProgressBar.style.width = `${Math.round((fraction ?? 0) * 100)}%`;
+}
+
+/**
+ * Shows or hides the warning for scenes too large to generate.
+ * @param {{bytes: number, fits: boolean}} memory - Estimate from the renderer
+ */
+function showMemoryWarning({ bytes, fits }) {
+  elMemoryWarning.classList.toggle('hidden', fits);
+  if (!fits) {
+    elMemoryWarning.textContent = `These settings need about ${formatBytes(bytes)} of point data, more than fits in memory. `
+      + 'Lower the density or point budget; the last cloud is kept until then.';
+  }
+}
+
+/**
+ * Formats a size in bytes for display.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MB or GB (e.g., '1.4 GB')
+ */
+function formatBytes(bytes) {
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${Math.ceil(mb)} MB`;
 }
 
 // Editors
 const verticalEditor = new CurveEditor(verticalCanvasId, true, update);
-const horizontalEditor = new CurveEditor(horizontalCanvasId, false, update);
+const horizontalEditor = new CurveEditor(horizontalCanvasId, false, update, { closable: true });
+
+// Two orthogonal views of the same 3D path
+const pathTopEditor = new CurveEditor(pathTopCanvasId, false, update, {
+  axes: ['x', 'z'],
+  labels: ['X (Width)', 'Z (Depth)'],
+  colors: ['#ff4d4d', '#4d4dff'],
+  origin: { x: 0.5, y: 0.5 },
+  defaultCurve: defaultCurves.path
+});
+const pathFrontEditor = new CurveEditor(pathFrontCanvasId, false, update, {
+  axes: ['x', 'y'],
+  labels: ['X (Width)', 'Y (Height)'],
+  colors: ['#ff4d4d', '#4dff4d'],
+  origin: { x: 0.5, y: 0 },
+  defaultCurve: defaultCurves.path
+});
+pathFrontEditor.setPoints(pathTopEditor.points);
 
 // --- Event Listeners ---
 
@@ -162,6 +399,105 @@ function onCurveUpdate() {
 
 verticalEditor.onChange = onCurveUpdate;
 horizontalEditor.onChange = onCurveUpdate;
+pathTopEditor.onChange = onCurveUpdate;
+pathFrontEditor.onChange = onCurveUpdate;
+
+// --- Shape Keys (Loft) ---
+const elShapeKeys = document.getElementById('shape-keys');
+const elShapeKeyList = document.getElementById('shape-key-list');
+const elShapeKeyHeight = document.getElementById('param-shape-key-height');
+const valShapeKeyHeight = document.getElementById('val-shape-key-height');
+const btnAddShapeKey = document.getElementById('btn-add-shape-key');
+const btnRemoveShapeKey = document.getElementById('btn-remove-shape-key');
+
+/**
+ * Horizontal shapes placed at heights along the profile, blended by the loft mode.
+ * @type {Array<{v: number, points: Array}>}
+ */
+let shapeKeys = [];
+let activeShapeKey = 0;
+
+/**
+ * The regular horizontal curve, kept aside while the editor shows a shape key.
+ * @type {Array|null}
+ */
+let horizontalCurve = null;
+
+/**
+ * Points the horizontal editor at the active shape key when the mode uses
+ * shape keys, or back at the regular horizontal curve otherwise.
+ */
+function syncShapeKeyEditor() {
+  const usesKeys = Boolean(getMode(state.mode).editors.shapeKeys);
+
+  if (usesKeys) {
+    if (!horizontalCurve) horizontalCurve = horizontalEditor.points;
+    if (shapeKeys.length === 0) {
+      shapeKeys = [
+        { v: 0, points: cloneCurve(horizontalCurve) },
+        { v: 1, points: cloneCurve(horizontalCurve) }
+      ];
+    }
+    activeShapeKey = Math.min(activeShapeKey, shapeKeys.length - 1);
+    horizontalEditor.setPoints(shapeKeys[activeShapeKey].points);
+  } else if (horizontalCurve) {
+    horizontalEditor.setPoints(horizontalCurve);
+    horizontalCurve = null;
+  }
+
+  elShapeKeys.classList.toggle('hidden', !usesKeys);
+  renderShapeKeys();
+}
+
+/**
+ * Rebuilds the shape key list and syncs the height slider with the active key.
+ */
+function renderShapeKeys() {
+  elShapeKeyList.innerHTML = '';
+  shapeKeys.forEach((key, index) => {
+    const button = document.createElement('button');
+    button.textContent = `${index + 1} @ ${key.v.toFixed(2)}`;
+    button.classList.toggle('active', index === activeShapeKey);
+    button.addEventListener('click', () => {
+      activeShapeKey = index;
+      syncShapeKeyEditor();
+    });
+    elShapeKeyList.appendChild(button);
+  });
+
+  const key = shapeKeys[activeShapeKey];
+  if (key) {
+    elShapeKeyHeight.value = key.v;
+    valShapeKeyHeight.textContent = key.v.toFixed(2);
+  }
+  btnRemoveShapeKey.disabled = shapeKeys.length <= 1;
+}
+
+elShapeKeyHeight.addEventListener('input', (e) => {
+  shapeKeys[activeShapeKey].v = parseFloat(e.target.value);
+  renderShapeKeys();
+  update();
+});
+
+btnAddShapeKey.addEventListener('click', () => {
+  // Duplicate the active key halfway to the next key above it
+  const current = shapeKeys[activeShapeKey];
+  const above = shapeKeys.filter(key => key.v > current.v).map(key => key.v);
+  const next = above.length > 0 ? Math.min(...above) : 1;
+  const v = current.v < 1 ? (current.v + next) / 2 : current.v;
+
+  shapeKeys.push({ v, points: cloneCurve(current.points) });
+  activeShapeKey = shapeKeys.length - 1;
+  syncShapeKeyEditor();
+  update();
+});
+
+btnRemoveShapeKey.addEventListener('click', () => {
+  if (shapeKeys.length <= 1) return;
+  shapeKeys.splice(activeShapeKey, 1);
+  syncShapeKeyEditor();
+  update();
+});
 
 // 2. Parameters
 /**
@@ -175,15 +511,82 @@ function attachListener(element, handler) {
   }
 }
 
-attachListener(elDensity, (e) => {
-  state.density = parseInt(e.target.value, 10);
-  valDensity.value = state.density;
+attachListener(elDensityU, (e) => {
+  state.densityU = parseInt(e.target.value, 10);
+  valDensityU.value = state.densityU;
+  update();
+});
+
+attachListener(valDensityU, (e) => {
+  state.densityU = parseInt(e.target.value, 10) || 10;
+  elDensityU.value = Math.min(500, state.densityU);
+  update();
+});
+
+attachListener(elDensityV, (e) => {
+  state.densityV = parseInt(e.target.value, 10);
+  valDensityV.value = state.densityV;
   update();
 });
 
-attachListener(valDensity, (e) => {
-  state.density = parseInt(e.target.value, 10) || 10;
-  elDensity.value = Math.min(500, state.density);
+attachListener(valDensityV, (e) => {
+  state.densityV = parseInt(e.target.value, 10) || 10;
+  elDensityV.value = Math.min(500, state.densityV);
+  update();
+});
+
+elAdaptive.addEventListener('change', (e) => {
+  state.adaptive = e.target.checked;
+  update();
+});
+
+attachListener(elPointBudget, (e) => {
+  state.pointBudget = parseInt(e.target.value, 10) || 100;
+  update();
+});
+
+attachListener(elAdaptivity, (e) => {
+  state.adaptivity = parseFloat(e.target.value);
+  update();
+});
+
+elDistribution.addEventListener('change', (e) => {
+  state.distribution = e.target.value;
+  update();
+});
+
+attachListener(elMinSpacing, (e) => {
+  state.minSpacing = Math.max(0, parseFloat(e.target.value) || 0);
+  update();
+});
+
+elCapTop.addEventListener('change', (e) => {
+  state.capTop = e.target.checked;
+  update();
+});
+
+elCapBottom.addEventListener('change', (e) => {
+  state.capBottom = e.target.checked;
+  update();
+});
+
+elFill.addEventListener('change', (e) => {
+  state.fill = e.target.value;
+  update();
+});
+
+elFillRatio.addEventListener('input', (e) => {
+  state.fillRatio = parseFloat(e.target.value);
+  update();
+});
+
+elFillShells.addEventListener('input', (e) => {
+  state.fillShells = parseInt(e.target.value, 10);
+  update();
+});
+
+elFillFalloff.addEventListener('input', (e) => {
+  state.fillFalloff = parseFloat(e.target.value);
   update();
 });
 
@@ -204,17 +607,17 @@ elRadius.addEventListener('input', (e) => {
 
 elColor.addEventListener('input', (e) => {
   state.color = e.target.value;
-  update();
+  update({ colorsOnly: true });
 });
 
 elColor2.addEventListener('input', (e) => {
   state.color2 = e.target.value;
-  update();
+  update({ colorsOnly: true });
 });
 
 elColorMode.addEventListener('change', (e) => {
   state.colorMode = e.target.value;
-  update();
+  update({ colorsOnly: true });
 });
 
 elNoise.addEventListener('input', (e) => {
@@ -222,7 +625,676 @@ elNoise.addEventListener('input', (e) => {
   update();
 });
 
-elMode.addEventListener('change', () => {
+elNoiseType.addEventListener('change', (e) => {
+  state.noiseType = e.target.value;
+  update();
+});
+
+elNoiseFrequency.addEventListener('input', (e) => {
+  state.noiseFrequency = parseFloat(e.target.value);
+  update();
+});
+
+elNoiseOctaves.addEventListener('input', (e) => {
+  state.noiseOctaves = parseInt(e.target.value, 10);
+  update();
+});
+
+elNoiseNormal.addEventListener('change', (e) => {
+  state.noiseAlongNormal = e.target.checked;
+  update();
+});
+
+elSeed.addEventListener('input', (e) => {
+  state.seed = parseInt(e.target.value, 10) || 0;
+  update();
+});
+
+btnSeedRandom.addEventListener('click', () => {
+  state.seed = Math.floor(Math.random() * 100000);
+  elSeed.value = state.seed;
+  update();
+});
+
+// Populate Geometry Modes
+listModes().forEach(mode => {
+  const option = document.createElement('option');
+  option.value = mode.name;
+  option.textContent = mode.label;
+  elMode.appendChild(option);
+});
+elMode.value = state.mode;
+
+/**
+ * Fills in default values for mode parameters that are not set yet.
+ * @param {boolean} [force=false] - Overwrite existing values (used on reset)
+ */
+function applyModeDefaults(force = false) {
+  listModes().forEach(mode => {
+    Object.entries(getModeDefaults(mode.name)).forEach(([key, value]) => {
+      if (force || state[key] === undefined) state[key] = value;
+    });
+  });
+}
+
+/**
+ * Creates the sidebar control for one declared parameter.
+ * @param {Object} param - Parameter declaration (see ModeParam in modes.js)
+ * @param {string} inputId - ID given to the input element
+ * @param {Object} target - Object holding the value under `param.key`
+ * @returns {HTMLElement} The control group
+ */
+function createParamControl(param, inputId, target) {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const header = document.createElement('div');
+  header.className = 'control-header';
+  const label = document.createElement('label');
+  label.htmlFor = inputId;
+  label.textContent = param.label;
+  header.appendChild(label);
+
+  let input;
+  if (param.type === 'select') {
+    input = document.createElement('select');
+    param.options.forEach(({ value, label: text }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      input.appendChild(option);
+    });
+    input.value = target[param.key];
+    input.addEventListener('change', () => {
+      target[param.key] = input.value;
+      update();
+    });
+    group.append(header, input);
+  } else if (param.type === 'checkbox') {
+    group.classList.add('toggle-group');
+    const toggle = document.createElement('label');
+    toggle.className = 'switch';
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = Boolean(target[param.key]);
+    const slider = document.createElement('span');
+    slider.className = 'slider';
+    toggle.append(input, slider);
+    input.addEventListener('change', () => {
+      target[param.key] = input.checked;
+      update();
+    });
+    group.append(label, toggle);
+  } else if (param.type === 'text') {
+    input = document.createElement('input');
+    input.type = 'text';
+    input.spellcheck = false;
+    input.value = target[param.key];
+    const error = document.createElement('div');
+    error.className = 'control-error hidden';
+
+    // Invalid values are shown inline and not applied, so the last valid one stays in use
+    input.addEventListener('input', () => {
+      const message = param.validate ? param.validate(input.value) : null;
+      input.classList.toggle('invalid', Boolean(message));
+      error.classList.toggle('hidden', !message);
+      error.textContent = message || '';
+      if (message) return;
+      target[param.key] = input.value;
+      update();
+    });
+    group.append(header, input, error);
+  } else {
+    input = document.createElement('input');
+    input.type = param.type === 'number' ? 'number' : 'range';
+    if (param.min !== undefined) input.min = param.min;
+    if (param.max !== undefined) input.max = param.max;
+    if (param.step !== undefined) input.step = param.step;
+    input.value = target[param.key];
+
+    const value = document.createElement('span');
+    value.className = 'control-value';
+    value.textContent = target[param.key];
+    if (input.type === 'range') header.appendChild(value);
+
+    input.addEventListener('input', () => {
+      const parsed = parseFloat(input.value);
+      target[param.key] = Number.isNaN(parsed) ? param.default : parsed;
+      value.textContent = target[param.key];
+      update();
+    });
+    group.append(header, input);
+  }
+  input.id = inputId;
+
+  return group;
+}
+
+/**
+ * Controls of the active mode's parameters, for toggling the conditional ones.
+ * @type {Array<{param: Object, group: HTMLElement}>}
+ */
+let modeParamGroups = [];
+
+/**
+ * Builds the sidebar controls for the parameters declared by the active mode.
+ */
+function buildModeParams() {
+  elModeParams.innerHTML = '';
+  modeParamGroups = [];
+  const mode = getMode(state.mode);
+
+  mode.params.forEach(param => {
+    const group = createParamControl(param, `param-mode-${param.key}`, state);
+    modeParamGroups.push({ param, group });
+    elModeParams.appendChild(group);
+  });
+}
+
+elMode.addEventListener('change', (e) => {
+  state.mode = e.target.value;
+  buildModeParams();
+  syncShapeKeyEditor();
+  update();
+});
+
+// --- Deformers ---
+const elDeformerType = document.getElementById('param-deformer-type');
+const btnAddDeformer = document.getElementById('btn-add-deformer');
+const elDeformerStack = document.getElementById('deformer-stack');
+const elDeformerFalloff = document.getElementById('deformer-falloff');
+
+/** Index of the deformer whose falloff curve is being edited. */
+let activeDeformer = -1;
+
+const falloffEditor = new CurveEditor('falloff-editor', false, update, {
+  labels: ['Height', 'Amount'],
+  colors: ['#4dff4d', '#ffb84d'],
+  origin: { x: 0, y: 0 },
+  defaultCurve: defaultCurves.falloff
+});
+
+listDeformers().forEach(deformer => {
+  const option = document.createElement('option');
+  option.value = deformer.name;
+  option.textContent = deformer.label;
+  elDeformerType.appendChild(option);
+});
+
+/**
+ * Marks a deformer as selected and shows its falloff curve, if it has one.
+ * @param {number} index - Index in the deformer stack
+ */
+function selectDeformer(index) {
+  activeDeformer = index;
+  [...elDeformerStack.children].forEach((card, i) => card.classList.toggle('active', i === index));
+
+  const deformer = state.deformers[index];
+  const showFalloff = Boolean(deformer && deformer.falloff);
+  const wasHidden = elDeformerFalloff.classList.contains('hidden');
+  elDeformerFalloff.classList.toggle('hidden', !showFalloff);
+  if (showFalloff) {
+    falloffEditor.setPoints(deformer.falloff);
+    if (wasHidden) falloffEditor.resize();
+  }
+}
+
+/**
+ * Moves a deformer within the stack.
+ * @param {number} index - Index of the deformer
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveDeformer(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= state.deformers.length) return;
+  const [deformer] = state.deformers.splice(index, 1);
+  state.deformers.splice(target, 0, deformer);
+  buildDeformerStack(target);
+  update();
+}
+
+/**
+ * Creates the header of a deformer or shape card: enable toggle, name and actions.
+ * @param {HTMLElement} card - The card, dimmed while the entry is disabled
+ * @param {{enabled: boolean}} entry - The deformer or shape
+ * @param {string} label - Name shown in the header
+ * @param {Array<[string, string, Function]>} actions - Buttons as [text, tooltip, click handler]
+ * @returns {HTMLElement} The header element
+ */
+function createCardHeader(card, entry, label, actions) {
+  const header = document.createElement('div');
+  header.className = 'deformer-header';
+
+  const toggle = document.createElement('label');
+  toggle.className = 'switch';
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = entry.enabled;
+  enabled.addEventListener('change', () => {
+    entry.enabled = enabled.checked;
+    card.classList.toggle('disabled', !entry.enabled);
+    update();
+  });
+  const slider = document.createElement('span');
+  slider.className = 'slider';
+  toggle.append(enabled, slider);
+
+  const title = document.createElement('span');
+  title.className = 'deformer-title';
+  title.textContent = label;
+
+  const buttons = actions.map(([text, hint, onClick]) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = hint;
+    button.addEventListener('click', onClick);
+    return button;
+  });
+
+  header.append(toggle, title, ...buttons);
+  return header;
+}
+
+/**
+ * Builds one card per deformer in the stack, with its settings and actions.
+ * @param {number} [selected=activeDeformer] - Index of the deformer to select afterwards
+ */
+function buildDeformerStack(selected = activeDeformer) {
+  elDeformerStack.innerHTML = '';
+
+  state.deformers.forEach((deformer, index) => {
+    const type = getDeformer(deformer.type);
+    const card = document.createElement('div');
+    card.className = 'deformer-card';
+    card.classList.toggle('disabled', !deformer.enabled);
+    card.addEventListener('pointerdown', () => {
+      if (activeDeformer !== index) selectDeformer(index);
+    });
+
+    card.appendChild(createCardHeader(card, deformer, type.label, [
+      ['↑', 'Move up', () => moveDeformer(index, -1)],
+      ['↓', 'Move down', () => moveDeformer(index, 1)],
+      ['✕', 'Remove', () => {
+        state.deformers.splice(index, 1);
+        buildDeformerStack(Math.min(index, state.deformers.length - 1));
+        update();
+      }]
+    ]));
+
+    type.params.forEach(param => {
+      card.appendChild(createParamControl(param, `param-deformer-${index}-${param.key}`, deformer));
+    });
+
+    // Optional falloff curve
+    const falloffGroup = document.createElement('div');
+    falloffGroup.className = 'control-group toggle-group';
+    const falloffLabel = document.createElement('label');
+    falloffLabel.textContent = 'Falloff Curve';
+    const falloffToggle = document.createElement('label');
+    falloffToggle.className = 'switch';
+    const falloffInput = document.createElement('input');
+    falloffInput.type = 'checkbox';
+    falloffInput.checked = Boolean(deformer.falloff);
+    falloffInput.addEventListener('change', () => {
+      deformer.falloff = falloffInput.checked ? cloneCurve(defaultCurves.falloff) : null;
+      selectDeformer(index);
+      update();
+    });
+    const falloffSlider = document.createElement('span');
+    falloffSlider.className = 'slider';
+    falloffToggle.append(falloffInput, falloffSlider);
+    falloffGroup.append(falloffLabel, falloffToggle);
+    card.appendChild(falloffGroup);
+
+    elDeformerStack.appendChild(card);
+  });
+
+  selectDeformer(selected);
+}
+
+btnAddDeformer.addEventListener('click', () => {
+  state.deformers.push(createDeformer(elDeformerType.value));
+  buildDeformerStack(state.deformers.length - 1);
+  update();
+});
+
+// --- Implicit Shapes ---
+const elShapeType = document.getElementById('param-shape-type');
+const btnAddShape = document.getElementById('btn-add-shape');
+const elShapeStack = document.getElementById('shape-stack');
+
+listPrimitives().forEach(primitive => {
+  const option = document.createElement('option');
+  option.value = primitive.name;
+  option.textContent = primitive.label;
+  elShapeType.appendChild(option);
+});
+
+/**
+ * Moves a shape within the implicit scene.
+ * @param {number} index - Index of the shape
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveShape(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= state.shapes.length) return;
+  const [shape] = state.shapes.splice(index, 1);
+  state.shapes.splice(target, 0, shape);
+  buildShapeStack();
+  update();
+}
+
+/**
+ * Builds one card per shape of the implicit scene, in the order they are merged.
+ * The first shape starts the scene, so its operation and blend are hidden.
+ */
+function buildShapeStack() {
+  elShapeStack.innerHTML = '';
+
+  state.shapes.forEach((shape, index) => {
+    const type = getPrimitive(shape.type);
+    const card = document.createElement('div');
+    card.className = 'deformer-card';
+    card.classList.toggle('disabled', !shape.enabled);
+
+    card.appendChild(createCardHeader(card, shape, type.label, [
+      ['↑', 'Move up', () => moveShape(index, -1)],
+      ['↓', 'Move down', () => moveShape(index, 1)],
+      ['✕', 'Remove', () => {
+        state.shapes.splice(index, 1);
+        buildShapeStack();
+        update();
+      }]
+    ]));
+
+    type.params.forEach(param => {
+      if (index === 0 && (param.key === 'op' || param.key === 'blend')) return;
+      card.appendChild(createParamControl(param, `param-shape-${index}-${param.key}`, shape));
+    });
+
+    elShapeStack.appendChild(card);
+  });
+}
+
+btnAddShape.addEventListener('click', () => {
+  state.shapes.push(createShape(elShapeType.value));
+  buildShapeStack();
+  update();
+});
+
+// --- Arrays ---
+const elArrayType = document.getElementById('param-array-type');
+const btnAddArray = document.getElementById('btn-add-array');
+const elArrayStack = document.getElementById('array-stack');
+
+listArrays().forEach(array => {
+  const option = document.createElement('option');
+  option.value = array.name;
+  option.textContent = array.label;
+  elArrayType.appendChild(option);
+});
+
+/**
+ * Moves an array modifier within the stack.
+ * @param {number} index - Index of the modifier
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveArray(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= state.arrays.length) return;
+  const [array] = state.arrays.splice(index, 1);
+  state.arrays.splice(target, 0, array);
+  buildArrayStack();
+  update();
+}
+
+/**
+ * Builds one card per array modifier, in the order they are applied.
+ */
+function buildArrayStack() {
+  elArrayStack.innerHTML = '';
+
+  state.arrays.forEach((array, index) => {
+    const type = getArray(array.type);
+    const card = document.createElement('div');
+    card.className = 'deformer-card';
+    card.classList.toggle('disabled', !array.enabled);
+
+    card.appendChild(createCardHeader(card, array, type.label, [
+      ['↑', 'Move up', () => moveArray(index, -1)],
+      ['↓', 'Move down', () => moveArray(index, 1)],
+      ['✕', 'Remove', () => {
+        state.arrays.splice(index, 1);
+        buildArrayStack();
+        update();
+      }]
+    ]));
+
+    type.params.forEach(param => {
+      card.appendChild(createParamControl(param, `param-array-${index}-${param.key}`, array));
+    });
+
+    elArrayStack.appendChild(card);
+  });
+}
+
+btnAddArray.addEventListener('click', () => {
+  state.arrays.push(createArray(elArrayType.value));
+  buildArrayStack();
+  update();
+});
+
+// --- Scene Objects ---
+const elObjectList = document.getElementById('object-list');
+const elObjectName = document.getElementById('param-object-name');
+const elObjectTransform = document.getElementById('object-transform');
+const elExportObjects = document.getElementById('param-export-objects');
+const btnAddObject = document.getElementById('btn-add-object');
+const btnDuplicateObject = document.getElementById('btn-duplicate-object');
+const btnRemoveObject = document.getElementById('btn-remove-object');
+
+/**
+ * Creates a scene object. Without settings it takes the current ones when it
+ * is first stored, which is how the initial object adopts the app's state.
+ * @param {string} name - Name shown in the outliner
+ * @param {Object|null} [params=null] - Generation settings
+ * @param {Object|null} [curves=null] - Curves (vertical, horizontal, shapeKeys, path)
+ * @returns {Object} The object
+ */
+function createSceneObject(name, params = null, curves = null) {
+  return { name, visible: true, transform: createTransform(), params, curves, points: new PointBuffer() };
+}
+
+/**
+ * Copies the settings and curves being edited into the selected object.
+ */
+function storeActiveObject() {
+  const object = objects[activeObject];
+  object.params = Object.fromEntries(Object.entries(state).filter(([key]) => !SCENE_KEYS.includes(key)));
+  object.curves = {
+    vertical: verticalEditor.points,
+    horizontal: horizontalCurve || horizontalEditor.points,
+    shapeKeys,
+    path: pathTopEditor.points
+  };
+}
+
+/**
+ * Selects an object: loads its settings into `state`, its curves into the
+ * editors, and rebuilds the sidebar around them.
+ * @param {number} index - Index of the object
+ */
+function loadObject(index) {
+  activeObject = index;
+  const object = objects[index];
+
+  Object.keys(state).forEach(key => {
+    if (!SCENE_KEYS.includes(key)) delete state[key];
+  });
+  Object.assign(state, object.params);
+  applyModeDefaults();
+
+  verticalEditor.setPoints(object.curves.vertical);
+  horizontalCurve = null;
+  horizontalEditor.setPoints(object.curves.horizontal);
+  shapeKeys = object.curves.shapeKeys;
+  activeShapeKey = 0;
+  pathTopEditor.setPoints(object.curves.path);
+  pathFrontEditor.setPoints(object.curves.path);
+
+  syncControls();
+  buildModeParams();
+  buildDeformerStack(-1);
+  buildShapeStack();
+  buildArrayStack();
+  syncShapeKeyEditor();
+  buildObjectPanel();
+}
+
+/**
+ * Copies of an object: its array modifiers, placed with its transform.
+ * @param {Object} object - Scene object
+ * @returns {Array<{matrix: number[], tint: number[]}>} At least one copy
+ */
+function objectInstances(object) {
+  const matrix = transformMatrix(object.transform);
+  const instances = compileArrays(object.params.arrays, object.params) || [{ matrix: transformMatrix({}), tint: [1, 1, 1] }];
+  return instances.map(instance => ({ matrix: multiplyMatrices(matrix, instance.matrix), tint: instance.tint }));
+}
+
+/**
+ * Visible objects as point lists and copies, drawn with GPU instancing.
+ * @returns {Array<{points: Array, instances: Array}>} One batch per visible object
+ */
+function sceneBatches() {
+  return objects
+    .filter(object => object.visible)
+    .map(object => ({ points: object.points, instances: objectInstances(object) }));
+}
+
+/**
+ * Points of all visible objects, with every copy placed.
+ * @returns {PointBuffer} Scene points
+ */
+function scenePoints() {
+  return PointBuffer.concat(sceneGroups().map(group => group.points));
+}
+
+/**
+ * Visible objects as named point lists with every copy placed, for exports.
+ * @returns {Array<{name: string, points: Array}>} One entry per visible object
+ */
+function sceneGroups() {
+  return objects
+    .filter(object => object.visible)
+    .map(object => ({ name: object.name, points: applyInstances(object.points, objectInstances(object)) }));
+}
+
+/**
+ * Rebuilds the outliner rows and the selected object's name and transform controls.
+ */
+function buildObjectPanel() {
+  elObjectList.innerHTML = '';
+  objects.forEach((object, index) => {
+    const row = document.createElement('div');
+    row.className = 'object-row';
+    row.classList.toggle('active', index === activeObject);
+
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = object.visible;
+    visible.title = 'Visible';
+    visible.addEventListener('change', () => {
+      object.visible = visible.checked;
+      update();
+    });
+
+    const select = document.createElement('button');
+    select.textContent = object.name;
+    select.addEventListener('click', () => {
+      if (index === activeObject) return;
+      storeActiveObject();
+      loadObject(index);
+      update();
+    });
+
+    row.append(visible, select);
+    elObjectList.appendChild(row);
+  });
+
+  const object = objects[activeObject];
+  elObjectName.value = object.name;
+  btnRemoveObject.disabled = objects.length <= 1;
+
+  elObjectTransform.innerHTML = '';
+  TRANSFORM_PARAMS.forEach(param => {
+    elObjectTransform.appendChild(createParamControl(param, `param-transform-${param.key}`, object.transform));
+  });
+}
+
+elObjectName.addEventListener('input', () => {
+  objects[activeObject].name = elObjectName.value;
+  elObjectList.children[activeObject].querySelector('button').textContent = elObjectName.value;
+  recordHistory();
+});
+
+btnAddObject.addEventListener('click', () => {
+  storeActiveObject();
+  const params = Object.fromEntries(Object.entries(DEFAULT_PARAMS).filter(([key]) => !SCENE_KEYS.includes(key)));
+  objects.push(createSceneObject(`Object ${objects.length + 1}`, {
+    ...params,
+    deformers: [],
+    shapes: defaultShapes(),
+    arrays: []
+  }, {
+    vertical: cloneCurve(defaultCurves.vertical),
+    horizontal: cloneCurve(defaultCurves.horizontal),
+    shapeKeys: [],
+    path: cloneCurve(defaultCurves.path)
+  }));
+  loadObject(objects.length - 1);
+  update();
+});
+
+btnDuplicateObject.addEventListener('click', () => {
+  storeActiveObject();
+  const source = objects[activeObject];
+  const copy = createSceneObject(`${source.name} Copy`, structuredClone(source.params), structuredClone(source.curves));
+  copy.transform = { ...source.transform };
+  objects.splice(activeObject + 1, 0, copy);
+  loadObject(activeObject + 1);
+  update();
+});
+
+btnRemoveObject.addEventListener('click', () => {
+  if (objects.length <= 1) return;
+  objects.splice(activeObject, 1);
+  loadObject(Math.min(activeObject, objects.length - 1));
+  update();
+});
+
+/**
+ * Downloads the visible objects in a 3D format, merged, grouped or as one file each.
+ * Waits for any generation still running, so the file matches the settings.
+ * @param {'obj'|'ply'} format - Output format
+ */
+async function exportObjects(format) {
+  await generation.idle();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const layout = elExportObjects.value;
+  const groups = sceneGroups();
+
+  if (layout === 'files') {
+    groups.forEach(group => {
+      Exporter.toTextFile(exportPointCloud(group.points, format), `point-cloud-${timestamp}-${slugify(group.name)}.${format}`);
+    });
+  } else {
+    Exporter.toTextFile(exportScene(groups, format, { layout }), `point-cloud-${timestamp}.${format}`);
+  }
+}
+
+elSpacing.addEventListener('change', (e) => {
+  state.spacing = e.target.value;
   update();
 });
 
@@ -241,11 +1313,35 @@ if (elPreset) {
 
     const preset = presets[key];
     if (preset) {
+      pendingHistoryLabel = `Load preset ${preset.label}`;
       // Clone points to avoid reference issues
-      verticalEditor.points = preset.vertical.map(p => ({ ...p }));
-      horizontalEditor.points = preset.horizontal.map(p => ({ ...p }));
+      verticalEditor.points = cloneCurve(preset.vertical);
+      const shape = cloneCurve(preset.horizontal);
+      if (preset.shapeKeys) {
+        shapeKeys = cloneShapeKeys(preset.shapeKeys);
+        activeShapeKey = 0;
+      } else if (horizontalCurve) {
+        // Editing a shape key: load the preset shape into it
+        shapeKeys[activeShapeKey].points = cloneCurve(shape);
+      }
+      if (horizontalCurve) {
+        horizontalCurve = shape;
+      } else {
+        horizontalEditor.points = shape;
+      }
+
+      if (preset.path) {
+        const path = cloneCurve(preset.path);
+        pathTopEditor.setPoints(path);
+        pathFrontEditor.setPoints(path);
+      }
+      if (preset.params) {
+        Object.assign(state, preset.params);
+        buildModeParams();
+      }
 
       // Update UI
+      syncShapeKeyEditor();
       verticalEditor.draw();
       horizontalEditor.draw();
       update();
@@ -300,6 +1396,9 @@ elLightMode.addEventListener('change', (e) => {
   renderer.theme = theme;
   verticalEditor.theme = theme;
   horizontalEditor.theme = theme;
+  pathTopEditor.theme = theme;
+  pathFrontEditor.theme = theme;
+  falloffEditor.theme = theme;
 
   // Swap default background color if unset
   if (isLight && elBgColor.value === '#000000') {
@@ -320,6 +1419,11 @@ elBloom.addEventListener('input', (e) => {
   renderer.bloomIntensity = val;
 });
 
+elShading.addEventListener('change', (e) => {
+  state.shading = e.target.checked;
+  renderer.shading = state.shading;
+});
+
 elAspect.addEventListener('change', (e) => {
   renderer.aspectRatio = e.target.value;
 });
@@ -344,7 +1448,8 @@ elGridDepth.addEventListener('input', (e) => {
  * Forces a synchronous GPU render to ensure buffer availability.
  */
 btnExportPng.addEventListener('click', async () => {
-  // 1. Force a fresh render
+  // 1. Wait for the latest points, then force a fresh render
+  await generation.idle();
   renderer.render();
 
   // 2. Wait for the GPU to finish rendering to the canvas texture
@@ -357,13 +1462,14 @@ btnExportPng.addEventListener('click', async () => {
   Exporter.toPNG(renderer.canvas, `point-cloud-${timestamp}.png`);
 });
 
-btnExportSvg.addEventListener('click', () => {
+btnExportSvg.addEventListener('click', async () => {
+  await generation.idle();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const { angleX, angleY, zoom, offsetX, offsetY, canvas, bgColor, bgTransparent } = renderer;
   const { width, height } = canvas;
 
   Exporter.toSVG(
-    renderer.points,
+    scenePoints(),
     angleX,
     angleY,
     zoom,
@@ -379,53 +1485,292 @@ btnExportSvg.addEventListener('click', () => {
 });
 
 btnExportObj.addEventListener('click', () => {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  Exporter.toOBJ(renderer.points, `point-cloud-${timestamp}.obj`);
+  exportObjects('obj');
+});
+
+btnExportPly.addEventListener('click', () => {
+  exportObjects('ply');
 });
 
+/**
+ * Sets the static sidebar controls from `state`, e.g. after a reset or when
+ * another scene object is selected.
+ */
+function syncControls() {
+  elDensityU.value = state.densityU;
+  elDensityV.value = state.densityV;
+  elAdaptive.checked = state.adaptive;
+  elPointBudget.value = state.pointBudget;
+  elAdaptivity.value = state.adaptivity;
+  elDistribution.value = state.distribution;
+  elMinSpacing.value = state.minSpacing;
+  elCapTop.checked = state.capTop;
+  elCapBottom.checked = state.capBottom;
+  elFill.value = state.fill;
+  elFillRatio.value = state.fillRatio;
+  elFillShells.value = state.fillShells;
+  elFillFalloff.value = state.fillFalloff;
+  elHeight.value = state.height;
+  elZoom.value = renderer.zoom;
+  elRadius.value = state.radius;
+  elColor.value = state.color;
+  elColor2.value = state.color2;
+  elColorMode.value = state.colorMode;
+  elNoise.value = state.noise;
+  elNoiseType.value = state.noiseType;
+  elNoiseFrequency.value = state.noiseFrequency;
+  elNoiseOctaves.value = state.noiseOctaves;
+  elNoiseNormal.checked = state.noiseAlongNormal;
+  elSeed.value = state.seed;
+  elGridWidth.value = state.gridWidth;
+  elGridDepth.value = state.gridDepth;
+  elMode.value = state.mode;
+  elSpacing.value = state.spacing;
+}
+
 btnReset.addEventListener('click', () => {
   // Reset State
   elBloom.value = 0;
   valBloom.textContent = '0.0';
 
   Object.assign(state, {
-    density: 30,
-    height: 1,
+    ...DEFAULT_PARAMS,
     radius: 2,
-    color: '#7c4dff',
-    color2: '#00aaff',
-    colorMode: 'solid',
-    noise: 0,
-    gridWidth: 400,
-    gridDepth: 400,
-    bloom: 0
+    bloom: 0,
+    shading: false,
+    deformers: [],
+    shapes: defaultShapes(),
+    arrays: []
   });
+  objects = [createSceneObject('Object 1')];
+  activeObject = 0;
   renderer.zoom = 1;
   renderer.gridWidth = 400;
   renderer.gridDepth = 400;
 
   // Reset UI
-  elDensity.value = state.density;
-  elHeight.value = state.height;
-  elZoom.value = renderer.zoom;
-  elRadius.value = state.radius;
-  elColor.value = state.color;
-  elColor2.value = state.color2;
-  elColorMode.value = state.colorMode;
-  elNoise.value = state.noise;
-  elGridWidth.value = state.gridWidth;
-  elGridDepth.value = state.gridDepth;
-  elMode.value = 'sweep';
+  syncControls();
+  applyModeDefaults(true);
+  buildModeParams();
   elBgColor.value = '#000000';
   elBgTransparent.checked = false;
   elAutoRotate.checked = false;
+  elShading.checked = false;
+  renderer.shading = false;
   renderer.aspectRatio = 'custom';
 
   verticalEditor.reset();
   horizontalEditor.reset();
+  pathTopEditor.reset();
+  pathFrontEditor.setPoints(pathTopEditor.points);
+  buildDeformerStack(-1);
+  buildShapeStack();
+  buildArrayStack();
+  shapeKeys = [];
+  activeShapeKey = 0;
+  horizontalCurve = null;
+  syncShapeKeyEditor();
+  buildObjectPanel();
+
+  pendingHistoryLabel = 'Reset';
+  update();
+});
+
+// --- History ---
+const elHistoryList = document.getElementById('history-list');
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
+
+/**
+ * Captures everything undo restores: the settings, curves and transforms of every object.
+ * Generated points are left out; they are regenerated on restore.
+ * @returns {Object} Snapshot of the scene
+ */
+function captureScene() {
+  storeActiveObject();
+  return structuredClone({
+    state,
+    objects: objects.map(({ name, visible, transform, params, curves }) => ({ name, visible, transform, params, curves })),
+    activeObject,
+    activeShapeKey
+  });
+}
+
+/**
+ * Loads a snapshot taken by {@link captureScene} and regenerates the scene.
+ * @param {Object} snapshot - Scene snapshot
+ */
+function restoreScene(snapshot) {
+  const saved = structuredClone(snapshot);
+  objects = saved.objects.map(object => ({ ...object, points: new PointBuffer() }));
+  SCENE_KEYS
+    .filter(key => !UNDOABLE_IGNORED_KEYS.includes(key))
+    .forEach(key => { state[key] = saved.state[key]; });
+  loadObject(saved.activeObject);
+  activeShapeKey = Math.min(saved.activeShapeKey, Math.max(0, shapeKeys.length - 1));
+  syncShapeKeyEditor();
+  renderer.gridWidth = state.gridWidth;
+  renderer.gridDepth = state.gridDepth;
 
+  // Every object may have changed
+  generatedGrid = null;
   update();
+}
+
+/**
+ * Readable name of a setting, taken from its sidebar label when it has one.
+ * @param {string} key - Key in `state`
+ * @returns {string} Setting name (e.g., 'Density U (Around)')
+ */
+function settingLabel(key) {
+  const id = key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+  const label = document.querySelector(`label[for="param-${id}"], label[for="param-mode-${key}"]`);
+  if (label) return label.textContent.trim();
+  return id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Names the change between two snapshots for the history list.
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {?string} Label, an empty string when only the selection changed, or null when nothing did
+ */
+function describeChange(before, after) {
+  // Closed curves are arrays with a `closed` property, which JSON would leave out
+  const serialize = value => JSON.stringify(value, (key, v) => (Array.isArray(v) && v.closed ? { closed: true, points: [...v] } : v));
+  const same = (a, b) => serialize(a) === serialize(b);
+  const closedChange = (a, b) => Boolean(a.closed) === Boolean(b.closed) ? null : (b.closed ? 'Close curve' : 'Open curve');
+  if (after.objects.length !== before.objects.length) {
+    return after.objects.length > before.objects.length ? 'Add object' : 'Remove object';
+  }
+  if (after.activeObject !== before.activeObject) return '';
+
+  // Curves of the selected object
+  const { curves } = after.objects[after.activeObject];
+  const previous = before.objects[after.activeObject].curves;
+  const curveNames = { vertical: 'profile', horizontal: 'shape', path: 'path' };
+  for (const [key, name] of Object.entries(curveNames)) {
+    if (same(previous[key], curves[key])) continue;
+    const toggled = closedChange(previous[key], curves[key]);
+    if (toggled) return toggled;
+    if (curves[key].length !== previous[key].length) {
+      return curves[key].length > previous[key].length ? 'Add point' : 'Delete point';
+    }
+    return `Edit ${name} curve`;
+  }
+  if (!same(previous.shapeKeys, curves.shapeKeys)) {
+    if (curves.shapeKeys.length !== previous.shapeKeys.length) {
+      return curves.shapeKeys.length > previous.shapeKeys.length ? 'Add shape key' : 'Remove shape key';
+    }
+    const toggled = curves.shapeKeys.map((key, i) => closedChange(previous.shapeKeys[i].points, key.points)).find(Boolean);
+    if (toggled) return toggled;
+    const resized = curves.shapeKeys.find((key, i) => key.points.length !== previous.shapeKeys[i].points.length);
+    if (resized) {
+      const i = curves.shapeKeys.indexOf(resized);
+      return resized.points.length > previous.shapeKeys[i].points.length ? 'Add point' : 'Delete point';
+    }
+    return 'Edit shape keys';
+  }
+
+  // Settings
+  const keys = [...new Set([...Object.keys(before.state), ...Object.keys(after.state)])]
+    .filter(key => !UNDOABLE_IGNORED_KEYS.includes(key) && !same(before.state[key], after.state[key]));
+  if (keys.length === 1) return `Change ${settingLabel(keys[0])}`;
+  if (keys.length > 1) return 'Change settings';
+
+  // Objects
+  for (let i = 0; i < after.objects.length; i++) {
+    const object = after.objects[i];
+    const old = before.objects[i];
+    if (!same(old.transform, object.transform)) return `Move ${object.name}`;
+    if (old.visible !== object.visible) return `${object.visible ? 'Show' : 'Hide'} ${object.name}`;
+    if (old.name !== object.name) return 'Rename object';
+  }
+  return after.activeShapeKey !== before.activeShapeKey ? '' : null;
+}
+
+/**
+ * Adds the latest change to the history. Repeated changes of the same kind, such
+ * as the steps of a slider or curve drag, are merged until the pointer is
+ * released or the control reports its final value.
+ */
+function recordHistory() {
+  if (!sceneHistory) return;
+  const snapshot = captureScene();
+  const label = pendingHistoryLabel ?? describeChange(sceneHistory.current.snapshot, snapshot);
+  pendingHistoryLabel = null;
+
+  if (label === '') {
+    sceneHistory.replace(snapshot);
+  } else if (label !== null) {
+    sceneHistory.record(label, snapshot, true);
+  }
+}
+
+/**
+ * Rebuilds the history list and the undo/redo buttons.
+ * @param {History} history - The history
+ */
+function renderHistory(history) {
+  elHistoryList.innerHTML = '';
+  history.entries.forEach((entry, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.textContent = entry.label;
+    button.classList.toggle('active', index === history.index);
+    button.classList.toggle('undone', index > history.index);
+    button.addEventListener('click', () => {
+      if (index !== history.index) restoreScene(history.goTo(index));
+    });
+    item.appendChild(button);
+    elHistoryList.appendChild(item);
+  });
+  elHistoryList.scrollTop = elHistoryList.scrollHeight;
+  btnUndo.disabled = !history.canUndo;
+  btnRedo.disabled = !history.canRedo;
+}
+
+/**
+ * Steps back through the history.
+ */
+function undo() {
+  const snapshot = sceneHistory.undo();
+  if (snapshot) restoreScene(snapshot);
+}
+
+/**
+ * Steps forward through the history.
+ */
+function redo() {
+  const snapshot = sceneHistory.redo();
+  if (snapshot) restoreScene(snapshot);
+}
+
+btnUndo.addEventListener('click', undo);
+btnRedo.addEventListener('click', redo);
+
+window.addEventListener('keydown', (e) => {
+  const key = e.key.toLowerCase();
+  if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
+  // Text fields keep their own undo
+  if (e.target.matches?.('input[type="text"], textarea')) return;
+  e.preventDefault();
+  if (key === 'y' || e.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+});
+
+// A drag ends when the pointer is released; a control is done when it reports its final value.
+// A new press also seals, so clicks and shortcuts that edit after the release get their own entry.
+['mousedown', 'mouseup', 'touchstart', 'touchend', 'change'].forEach(type => {
+  window.addEventListener(type, () => sceneHistory?.seal());
 });
+window.addEventListener('keydown', (e) => {
+  // Typing a name stays one change
+  if (!e.target.matches?.('input[type="text"], textarea')) sceneHistory?.seal();
+}, true);
 
 // --- Animation Loop ---
 /**
@@ -466,6 +1811,13 @@ mobileBackdrop.addEventListener('click', () => {
 });
 
 // Initial Draw & Start Animation
+applyModeDefaults();
+buildModeParams();
+buildShapeStack();
+buildArrayStack();
+syncShapeKeyEditor();
+buildObjectPanel();
+sceneHistory = new History(captureScene(), { onChange: renderHistory });
 update();
 animate();
 console.log('App initialized');
@@ -31,39 +31,410 @@ export function cubicBezier(t, p0, p1, p2, p3) {
   );
 }
 
+/**
+ * Returns the number of cubic segments in a spline: one between each pair of
+ * neighboring points, plus the segment from the last point back to the first
+ * when the spline is closed. A spline is closed when its points array has
+ * `closed` set to true; it is then periodic, and t = 1 lands back on the first point.
+ * 
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @returns {number} Number of segments
+ */
+export function segmentCount(points) {
+  if (points.length < 2) return 0;
+  return points.closed ? points.length : points.length - 1;
+}
+
 /**
  * Samples a value from a composite Bezier spline at a given parameter.
- * Handles multiple connected Bezier segments seamlessly.
+ * Handles multiple connected Bezier segments seamlessly, including the
+ * wrap-around segment of closed splines (see {@link segmentCount}).
  * 
  * @param {number} t - Overall progress along the spline in range [0, 1]
  * @param {Array<{x: number, y: number, cp1: {dx: number, dy: number}, cp2: {dx: number, dy: number}}>} points - Array of control points with handles
- * @param {'x'|'y'} axis - Which axis to sample ('x' or 'y')
+ * @param {'x'|'y'|'z'} axis - Which axis to sample ('z' only for 3D paths)
  * @returns {number} The sampled value at parameter t
  */
 export function sampleBezierSpline(t, points, axis) {
   if (points.length < 2) return points[0] ? points[0][axis] : 0;
 
-  const n = points.length - 1;
+  const n = segmentCount(points);
   const rawT = t * n;
-  let idx = Math.floor(rawT);
+  const idx = Math.floor(rawT);
   const weight = rawT - idx;
 
   if (idx >= n) {
-    idx = n - 1;
-    return points[n][axis];
+    return points[n % points.length][axis];
   }
 
   const pA = points[idx];
-  const pB = points[idx + 1];
+  const pB = points[(idx + 1) % points.length];
 
+  const d = 'd' + axis;
   const v0 = pA[axis];
-  const v1 = pA[axis] + (axis === 'x' ? pA.cp2.dx : pA.cp2.dy);
-  const v2 = pB[axis] + (axis === 'x' ? pB.cp1.dx : pB.cp1.dy);
+  const v1 = pA[axis] + pA.cp2[d];
+  const v2 = pB[axis] + pB.cp1[d];
   const v3 = pB[axis];
 
   return cubicBezier(weight, v0, v1, v2, v3);
 }
 
+/**
+ * Samples the derivative of a composite Bezier spline with respect to the
+ * overall parameter t (not the per-segment weight).
+ * 
+ * @param {number} t - Overall progress along the spline in range [0, 1]
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @param {'x'|'y'|'z'} axis - Which axis to sample
+ * @returns {number} The derivative at parameter t
+ */
+export function sampleBezierSplineDerivative(t, points, axis) {
+  if (points.length < 2) return 0;
+
+  const n = segmentCount(points);
+  const rawT = t * n;
+  let idx = Math.floor(rawT);
+  let weight = rawT - idx;
+
+  if (idx >= n) {
+    idx = n - 1;
+    weight = 1;
+  }
+
+  const pA = points[idx];
+  const pB = points[(idx + 1) % points.length];
+  const d = 'd' + axis;
+  const v0 = pA[axis];
+  const v1 = pA[axis] + pA.cp2[d];
+  const v2 = pB[axis] + pB.cp1[d];
+  const v3 = pB[axis];
+
+  const mt = 1 - weight;
+  const dw = 3 * (mt * mt * (v1 - v0) + 2 * mt * weight * (v2 - v1) + weight * weight * (v3 - v2));
+  return dw * n;
+}
+
+/**
+ * Splits one cubic segment of a spline at parameter t using De Casteljau's algorithm.
+ * The two halves trace exactly the same curve as the original segment.
+ * Works with 2D points and with 3D points that carry a `z` coordinate.
+ * 
+ * @param {{x: number, y: number, cp1: Object, cp2: Object}} pA - Segment start point
+ * @param {{x: number, y: number, cp1: Object, cp2: Object}} pB - Segment end point
+ * @param {number} t - Split parameter in range [0, 1]
+ * @returns {{start: Object, mid: Object, end: Object}} Copies of pA and pB with shortened
+ *   handles, and the new point inserted between them
+ */
+export function splitBezierSegment(pA, pB, t) {
+  const axes = 'z' in pA ? ['x', 'y', 'z'] : ['x', 'y'];
+  const start = { ...pA, cp1: { ...pA.cp1 }, cp2: { ...pA.cp2 } };
+  const end = { ...pB, cp1: { ...pB.cp1 }, cp2: { ...pB.cp2 } };
+  const mid = { ...pA, cp1: {}, cp2: {} };
+
+  for (const axis of axes) {
+    const d = 'd' + axis;
+    const p0 = pA[axis];
+    const p1 = pA[axis] + (pA.cp2[d] || 0);
+    const p2 = pB[axis] + (pB.cp1[d] || 0);
+    const p3 = pB[axis];
+
+    const q0 = p0 + (p1 - p0) * t;
+    const q1 = p1 + (p2 - p1) * t;
+    const q2 = p2 + (p3 - p2) * t;
+    const r0 = q0 + (q1 - q0) * t;
+    const r1 = q1 + (q2 - q1) * t;
+    const s = r0 + (r1 - r0) * t;
+
+    start.cp2[d] = q0 - p0;
+    end.cp1[d] = q2 - p3;
+    mid[axis] = s;
+    mid.cp1[d] = r0 - s;
+    mid.cp2[d] = r1 - s;
+  }
+
+  return { start, mid, end };
+}
+
+/**
+ * Splits one segment of a spline in place with {@link splitBezierSegment}. The
+ * split shortens the handles on either side of the new point, so it and any
+ * symmetric neighbor become aligned. On a closed spline the last segment wraps
+ * around to the first point, and the new point goes last.
+ *
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object, mode?: string}>} points - Spline, changed in place
+ * @param {number} index - Index of the segment (its first point)
+ * @param {number} t - Parameter along the segment [0-1]
+ * @returns {number} Index of the new point
+ */
+export function insertSplit(points, index, t) {
+  const last = index === points.length - 1;
+  const { start, mid, end } = splitBezierSegment(points[index], points[last ? 0 : index + 1], t);
+  mid.mode = 'aligned';
+  for (const p of [start, end]) {
+    if (!p.mode || p.mode === 'symmetric') p.mode = 'aligned';
+  }
+  if (last) {
+    points.splice(index, 1, start, mid);
+    points[0] = end;
+  } else {
+    points.splice(index, 2, start, mid, end);
+  }
+  return index + 1;
+}
+
+/**
+ * Returns a copy of a spline with extra points inserted until it has `count` points.
+ * The longest segment is split in half each time, so the curve keeps its shape.
+ * Splines that already have `count` points or more are copied unchanged.
+ * The copy stays closed if the spline is.
+ * 
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @param {number} count - Desired number of points
+ * @returns {Array<{x: number, y: number, cp1: Object, cp2: Object}>} Resampled copy
+ */
+export function resampleSpline(points, count) {
+  const result = points.map(p => ({ ...p, cp1: { ...p.cp1 }, cp2: { ...p.cp2 } }));
+  if (points.closed) result.closed = true;
+  if (result.length < 2) return result;
+
+  while (result.length < count) {
+    let longest = 0;
+    let longestLength = -1;
+    for (let i = 0; i < segmentCount(result); i++) {
+      const a = result[i];
+      const b = result[(i + 1) % result.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y, (b.z || 0) - (a.z || 0));
+      if (length > longestLength) {
+        longestLength = length;
+        longest = i;
+      }
+    }
+
+    insertSplit(result, longest, 0.5);
+  }
+
+  return result;
+}
+
+/**
+ * Computes rotation-minimizing frames along a sampled 3D curve using the
+ * double reflection method (Wang et al. 2008). Frames computed this way
+ * follow the curve without the sudden flips of Frenet frames and without
+ * twisting more than the curve itself requires.
+ * 
+ * @param {Array<{x: number, y: number, z: number}>} positions - Curve positions, in order
+ * @param {Array<{x: number, y: number, z: number}>} tangents - Unit tangents at the same samples
+ * @param {{x: number, y: number, z: number}} normal - Unit normal of the first frame, perpendicular to the first tangent
+ * @returns {Array<{x: number, y: number, z: number}>} Unit normal of each frame; the binormal is tangent × normal
+ */
+export function computeRotationMinimizingFrames(positions, tangents, normal) {
+  const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+  const reflect = (p, axis, c) => {
+    const k = (2 / c) * dot(axis, p);
+    return { x: p.x - k * axis.x, y: p.y - k * axis.y, z: p.z - k * axis.z };
+  };
+
+  const normals = [normal];
+  for (let i = 0; i < positions.length - 1; i++) {
+    const r = normals[i];
+    const v1 = {
+      x: positions[i + 1].x - positions[i].x,
+      y: positions[i + 1].y - positions[i].y,
+      z: positions[i + 1].z - positions[i].z
+    };
+    const c1 = dot(v1, v1);
+    if (c1 < 1e-12) {
+      normals.push(r);
+      continue;
+    }
+
+    // Reflect the frame across the plane between the two samples, then
+    // across the plane that maps the reflected tangent onto the next tangent
+    const rL = reflect(r, v1, c1);
+    const tL = reflect(tangents[i], v1, c1);
+    const t1 = tangents[i + 1];
+    const v2 = { x: t1.x - tL.x, y: t1.y - tL.y, z: t1.z - tL.z };
+    const c2 = dot(v2, v2);
+    normals.push(c2 < 1e-12 ? rL : reflect(rL, v2, c2));
+  }
+  return normals;
+}
+
+/**
+ * Builds a cumulative arc-length lookup table for a composite Bezier spline.
+ * Lengths are measured in the normalized editor space and scaled to [0, 1].
+ * 3D paths (points with a `z` coordinate) are measured in 3D.
+ * 
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @param {number} [samples=256] - Number of chords used to approximate the curve
+ * @returns {Float32Array} Normalized cumulative length at t = i / samples (samples + 1 entries)
+ */
+export function buildArcLengthTable(points, samples = 256) {
+  const table = new Float32Array(samples + 1);
+  const is3D = points.length > 0 && 'z' in points[0];
+  let prevX = sampleBezierSpline(0, points, 'x');
+  let prevY = sampleBezierSpline(0, points, 'y');
+  let prevZ = is3D ? sampleBezierSpline(0, points, 'z') : 0;
+  let total = 0;
+
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    const x = sampleBezierSpline(t, points, 'x');
+    const y = sampleBezierSpline(t, points, 'y');
+    const z = is3D ? sampleBezierSpline(t, points, 'z') : 0;
+    total += Math.hypot(x - prevX, y - prevY, z - prevZ);
+    table[i] = total;
+    prevX = x;
+    prevY = y;
+    prevZ = z;
+  }
+
+  if (total === 0) {
+    // Degenerate curve (single point): fall back to the identity mapping
+    for (let i = 0; i <= samples; i++) table[i] = i / samples;
+    return table;
+  }
+
+  for (let i = 1; i <= samples; i++) table[i] /= total;
+  return table;
+}
+
+/**
+ * Builds a cumulative sampling table that concentrates samples where a spline bends.
+ * Each chord gets a weight that mixes its share of the base measure (parameter
+ * range or arc length) with its share of the total turning angle, so sharp bends
+ * receive more samples and straight stretches fewer. 3D paths are measured in 3D.
+ * 
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @param {number} adaptivity - Share of samples driven by curvature in range [0, 1]
+ * @param {boolean} [arcLength=false] - Use arc length instead of the raw parameter as the base measure
+ * @param {number} [samples=256] - Number of chords used to approximate the curve
+ * @returns {Float32Array} Normalized cumulative weight at t = i / samples (samples + 1 entries)
+ */
+export function buildCurvatureTable(points, adaptivity, arcLength = false, samples = 256) {
+  const is3D = points.length > 0 && 'z' in points[0];
+  const xs = new Float64Array(samples + 1);
+  const ys = new Float64Array(samples + 1);
+  const zs = new Float64Array(samples + 1);
+  for (let i = 0; i <= samples; i++) {
+    xs[i] = sampleBezierSpline(i / samples, points, 'x');
+    ys[i] = sampleBezierSpline(i / samples, points, 'y');
+    if (is3D) zs[i] = sampleBezierSpline(i / samples, points, 'z');
+  }
+
+  // Base measure and turning angle per chord
+  const base = new Float64Array(samples);
+  const turn = new Float64Array(samples);
+  let baseTotal = 0;
+  let turnTotal = 0;
+  let prev = null;
+
+  for (let i = 0; i < samples; i++) {
+    const dx = xs[i + 1] - xs[i];
+    const dy = ys[i + 1] - ys[i];
+    const dz = zs[i + 1] - zs[i];
+    const len = Math.hypot(dx, dy, dz);
+    base[i] = arcLength ? len : 1;
+    baseTotal += base[i];
+
+    if (len > 1e-9) {
+      if (prev !== null) {
+        // Angle between consecutive chords
+        const cx = prev.dy * dz - prev.dz * dy;
+        const cy = prev.dz * dx - prev.dx * dz;
+        const cz = prev.dx * dy - prev.dy * dx;
+        const delta = Math.atan2(Math.hypot(cx, cy, cz), prev.dx * dx + prev.dy * dy + prev.dz * dz);
+        // Split the bend between the two chords that meet at this vertex
+        turn[i - 1] += delta / 2;
+        turn[i] += delta / 2;
+        turnTotal += delta;
+      }
+      prev = { dx, dy, dz };
+    }
+  }
+
+  const table = new Float32Array(samples + 1);
+  if (baseTotal === 0) {
+    for (let i = 0; i <= samples; i++) table[i] = i / samples;
+    return table;
+  }
+
+  // Treat rounding noise on straight curves as no bend at all
+  const a = turnTotal > 1e-6 ? Math.max(0, Math.min(1, adaptivity)) : 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    sum += (1 - a) * (base[i] / baseTotal) + (a > 0 ? a * (turn[i] / turnTotal) : 0);
+    table[i + 1] = sum;
+  }
+  for (let i = 1; i <= samples; i++) table[i] /= sum;
+  return table;
+}
+
+/**
+ * Tabulates a curve's y value as a function of x, for curves drawn from left
+ * to right such as falloff curves. Where the curve doubles back on itself the
+ * first crossing wins; outside the curve's x range the end values are held.
+ * 
+ * @param {Array<{x: number, y: number, cp1: Object, cp2: Object}>} points - Array of control points with handles
+ * @param {number} [size=256] - Number of table intervals
+ * @param {number} [samples=1024] - Number of curve samples searched
+ * @returns {Float32Array} y at x = i / size (size + 1 entries)
+ */
+export function buildCurveLookup(points, size = 256, samples = 1024) {
+  const xs = new Float64Array(samples + 1);
+  const ys = new Float64Array(samples + 1);
+  for (let i = 0; i <= samples; i++) {
+    xs[i] = sampleBezierSpline(i / samples, points, 'x');
+    ys[i] = sampleBezierSpline(i / samples, points, 'y');
+  }
+
+  const table = new Float32Array(size + 1);
+  let j = 0;
+  for (let i = 0; i <= size; i++) {
+    const x = i / size;
+    if (x <= xs[0]) {
+      table[i] = ys[0];
+      continue;
+    }
+    while (j < samples && xs[j + 1] < x) j++;
+    if (j >= samples) {
+      table[i] = ys[samples];
+      continue;
+    }
+    const span = xs[j + 1] - xs[j];
+    const w = span > 1e-12 ? (x - xs[j]) / span : 0;
+    table[i] = ys[j] + (ys[j + 1] - ys[j]) * Math.max(0, Math.min(1, w));
+  }
+  return table;
+}
+
+/**
+ * Converts a normalized arc length into the spline parameter that reaches it.
+ * Works with any normalized cumulative table, such as the ones from
+ * {@link buildArcLengthTable} and {@link buildCurvatureTable}.
+ * 
+ * @param {number} s - Fraction of the total curve length in range [0, 1]
+ * @param {Float32Array} table - Normalized cumulative table
+ * @returns {number} Spline parameter t in range [0, 1]
+ */
+export function arcLengthToParameter(s, table) {
+  const samples = table.length - 1;
+  if (s <= 0) return 0;
+  if (s >= 1) return 1;
+
+  let lo = 0;
+  let hi = samples;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (table[mid] < s) lo = mid;
+    else hi = mid;
+  }
+
+  const span = table[hi] - table[lo];
+  const f = span > 0 ? (s - table[lo]) / span : 0;
+  return (lo + f) / samples;
+}
+
 /**
  * Projects a 3D point onto a 2D plane using perspective projection.
  * 
@@ -120,6 +491,17 @@ export function rotateX(x, y, z, angle) {
   };
 }
 
+/**
+ * Parses a hex color into 8-bit channels.
+ * 
+ * @param {string} color - Hex color (e.g., '#ff0000')
+ * @returns {number[]} [r, g, b] in range [0, 255]
+ */
+export function hexToRgb(color) {
+  const value = parseInt(color.slice(1, 7), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
 /**
  * Linearly interpolates between two hex colors in RGB space.
  * 
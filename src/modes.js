@@ -0,0 +1,794 @@
+/**
+ * @fileoverview Registry of geometry modes used by the SurfaceGenerator.
+ *
+ * A geometry mode maps a (u, v) parameter pair to a 3D position using the
+ * curves drawn in the editors. Modes describe which editors they use, how those
+ * editors are labelled, and any extra parameters they need, so the sidebar can
+ * be built from the registry and new modes can be added without touching the
+ * generator.
+ *
+ * @example
+ * registerMode({
+ *   name: 'cone',
+ *   label: 'Cone',
+ *   editors: { vertical: 'Height Profile' },
+ *   params: [{ key: 'coneAngle', label: 'Angle', type: 'range', min: 5, max: 85, step: 1, default: 30 }],
+ *   position: (u, v, curves, params) => {
+ *     const r = v * Math.tan(params.coneAngle * Math.PI / 180) * params.gridWidth / 2;
+ *     return { x: Math.cos(u * Math.PI * 2) * r, y: -v * params.gridWidth / 2, z: Math.sin(u * Math.PI * 2) * r };
+ *   }
+ * });
+ */
+
+import {
+    sampleBezierSpline,
+    sampleBezierSplineDerivative,
+    resampleSpline,
+    computeRotationMinimizingFrames
+} from './math.js';
+import { compileExpression, validateExpression } from './expression.js';
+import { compileShapes, defaultShapes } from './sdf.js';
+
+/**
+ * @typedef {Object} ModeParam
+ * @property {string} key - Key of the value in the generation params
+ * @property {string} label - Label shown in the sidebar
+ * @property {'range'|'number'|'checkbox'|'select'|'text'} type - Control type
+ * @property {*} default - Default value
+ * @property {number} [min] - Minimum value (range/number)
+ * @property {number} [max] - Maximum value (range/number)
+ * @property {number} [step] - Step size (range/number)
+ * @property {Array<{value: string, label: string}>} [options] - Choices (select)
+ * @property {function(string): ?string} [validate] - Returns an error message for invalid
+ *   values (text); the sidebar shows it inline and keeps the last valid value
+ * @property {function(Object): boolean} [visible] - Called with the generation params; the
+ *   sidebar hides the control when it returns false
+ */
+
+/**
+ * @typedef {Object} GeometryMode
+ * @property {string} name - Unique identifier, used as the `mode` parameter
+ * @property {string} label - Name shown in the mode selector
+ * @property {Object<string, string>} editors - Label per editor the mode uses: the curve editors
+ *   (`vertical`, `horizontal`, `shapeKeys`, `path`) and the list of implicit primitives (`shapes`,
+ *   whose result reaches `prepare` as `params.shapes`); editors that are missing are disabled or hidden
+ * @property {{u: ?string, v: ?string}} [axisCurves] - Curves (keys of `curves`) that drive
+ *   arc-length and adaptive spacing along U and V; the V curve's height also drives the
+ *   height color. Defaults to the horizontal and vertical curves when their editors are used.
+ * @property {ModeParam[]} [params] - Extra parameters shown in the sidebar
+ * @property {function(number, number, Object, Object): {x: number, y: number, z: number}} [position] -
+ *   Maps (u, v, curves, params) to a world-space position. Required unless the mode has `sample`.
+ * @property {function(Object, Object): Array<[number, number, Object, ?Object]>} [sample] - Called
+ *   with (curves, params) for modes that are not a (u, v) grid; returns the surface points as
+ *   [u, v, position, normal] tuples, where the normal may be null and (u, v) only feed
+ *   `colorHeight`. Such modes ignore the distribution and volume fill options.
+ * @property {function(Object, Object): boolean} [periodicU] - Called with (params, curves); return
+ *   true when u = 1 lands on the same positions as u = 0, so the generator skips that duplicate column
+ * @property {function(number, number, Object, Object): {du: Object, dv: Object}} [tangents] - Maps
+ *   (u, v, curves, params) to the partial derivatives of `position` along U and V, used for the
+ *   surface normal (du × dv). Modes without it are differentiated numerically.
+ * @property {function(Object, Object): boolean} [caps] - Called with (params, curves); return true
+ *   when the cross-sections at v = 0 and v = 1 are closed horizontal outlines, so the generator
+ *   can fill them with end caps
+ * @property {function(number, number, number, Object, Object): {x: number, y: number, z: number}} [fill] -
+ *   Maps (u, v, s, curves, params) to a point inside the solid, from the core (s = 0) to the
+ *   surface (s = 1). Modes with a fill function support the volumetric fill options.
+ * @property {function(number, number, Object, Object): number} [colorHeight] - Maps
+ *   (u, v, curves, params) to the [0, 1] factor used by the height color. Defaults to the
+ *   height of the V curve.
+ * @property {function(Object, Object): Object} [prepare] - Called once per generation with
+ *   (curves, params); the returned object is passed to `position` as `curves`. Use it for
+ *   work that does not depend on (u, v), such as resampling or building lookup tables.
+ */
+
+/** @type {Map<string, GeometryMode>} */
+const registry = new Map();
+
+/**
+ * Adds a geometry mode to the registry, replacing any mode with the same name.
+ *
+ * @param {GeometryMode} mode - The mode definition
+ * @returns {GeometryMode} The registered mode
+ */
+export function registerMode(mode) {
+    if (!mode || typeof mode.name !== 'string' || !mode.name) {
+        throw new Error('Geometry mode needs a name');
+    }
+    if (typeof mode.position !== 'function' && typeof mode.sample !== 'function') {
+        throw new Error(`Geometry mode "${mode.name}" needs a position or sample function`);
+    }
+
+    const editors = mode.editors || {};
+    const entry = {
+        label: mode.name,
+        editors,
+        params: [],
+        axisCurves: {
+            u: editors.horizontal ? 'horizontal' : null,
+            v: editors.vertical ? 'vertical' : null
+        },
+        ...mode
+    };
+    registry.set(entry.name, entry);
+    return entry;
+}
+
+/**
+ * Looks up a registered geometry mode.
+ *
+ * @param {string} name - Mode name
+ * @returns {GeometryMode|undefined} The mode, or undefined if not registered
+ */
+export function getMode(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lists all registered geometry modes in registration order.
+ *
+ * @returns {GeometryMode[]} Registered modes
+ */
+export function listModes() {
+    return [...registry.values()];
+}
+
+/**
+ * Returns the default values of a mode's extra parameters.
+ *
+ * @param {string} name - Mode name
+ * @returns {Object} Map of parameter key to default value
+ */
+export function getModeDefaults(name) {
+    const mode = registry.get(name);
+    const defaults = {};
+    if (mode) {
+        for (const param of mode.params) {
+            defaults[param.key] = param.default;
+        }
+    }
+    return defaults;
+}
+
+// --- Built-in modes ---
+
+/**
+ * Fill function for solids whose cross-sections surround the Y axis: moves the
+ * surface point toward the axis at the same height. Used as a mode's `fill`.
+ * @this {GeometryMode}
+ */
+function fillTowardAxis(u, v, s, curves, params) {
+    const p = this.position(u, v, curves, params);
+    return { x: p.x * s, y: p.y, z: p.z * s };
+}
+
+registerMode({
+    name: 'sweep',
+    label: 'Sweep Shape',
+    editors: { vertical: 'Profile (Vertical)', horizontal: 'Shape (Horizontal)' },
+    periodicU: (params, curves) => Boolean(curves.horizontal.closed),
+    caps: () => true,
+    fill: fillTowardAxis,
+    position(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const vRadius = sampleBezierSpline(v, curves.vertical, 'x');
+        const vHeight = sampleBezierSpline(v, curves.vertical, 'y');
+        const rawX = sampleBezierSpline(u, curves.horizontal, 'x');
+        const rawZ = sampleBezierSpline(u, curves.horizontal, 'y');
+
+        return {
+            x: (rawX - 0.5) * gridWidth * vRadius,
+            y: -vHeight * height * (gridWidth / 2),
+            z: (rawZ - 0.5) * gridDepth * vRadius
+        };
+    },
+    tangents(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const vRadius = sampleBezierSpline(v, curves.vertical, 'x');
+        const dRadius = sampleBezierSplineDerivative(v, curves.vertical, 'x');
+        const dHeight = sampleBezierSplineDerivative(v, curves.vertical, 'y');
+        const rawX = sampleBezierSpline(u, curves.horizontal, 'x');
+        const rawZ = sampleBezierSpline(u, curves.horizontal, 'y');
+
+        return {
+            du: {
+                x: sampleBezierSplineDerivative(u, curves.horizontal, 'x') * gridWidth * vRadius,
+                y: 0,
+                z: sampleBezierSplineDerivative(u, curves.horizontal, 'y') * gridDepth * vRadius
+            },
+            dv: {
+                x: (rawX - 0.5) * gridWidth * dRadius,
+                y: -dHeight * height * (gridWidth / 2),
+                z: (rawZ - 0.5) * gridDepth * dRadius
+            }
+        };
+    }
+});
+
+/**
+ * Total revolution sweep in degrees: the arc from the start to the end angle,
+ * plus one full turn for every turn beyond the first. Without pitch the extra
+ * turns would land on the first one, so they are left out.
+ * @param {Object} params - Generation parameters
+ * @returns {number} Sweep in degrees
+ */
+function revolutionSweep({ startAngle, endAngle, turns, pitch }) {
+    const extraTurns = pitch === 0 ? 0 : Math.max(1, turns) - 1;
+    return (endAngle - startAngle) + 360 * extraTurns;
+}
+
+registerMode({
+    name: 'revolution',
+    label: 'Revolution',
+    editors: { vertical: 'Profile (Vertical)' },
+    params: [
+        { key: 'startAngle', label: 'Start Angle (°)', type: 'range', min: 0, max: 360, step: 1, default: 0 },
+        { key: 'endAngle', label: 'End Angle (°)', type: 'range', min: 0, max: 360, step: 1, default: 360 },
+        // Turns only matter once they rise apart
+        { key: 'turns', label: 'Turns', type: 'range', min: 1, max: 20, step: 1, default: 1, visible: params => params.pitch !== 0 },
+        { key: 'pitch', label: 'Pitch (per Turn)', type: 'range', min: -2, max: 2, step: 0.01, default: 0 }
+    ],
+    periodicU(params) {
+        return Math.abs(revolutionSweep(params) - 360) < 1e-9 && params.pitch === 0;
+    },
+    // Only a full, flat turn has closed rings at its ends
+    caps(params) {
+        return this.periodicU(params);
+    },
+    fill: fillTowardAxis,
+    position(u, v, curves, params) {
+        const { height, gridWidth, startAngle, pitch } = params;
+        const vRadius = sampleBezierSpline(v, curves.vertical, 'x');
+        const vHeight = sampleBezierSpline(v, curves.vertical, 'y');
+        const sweep = u * revolutionSweep(params) * Math.PI / 180;
+        const angle = startAngle * Math.PI / 180 + sweep;
+        const rBase = (gridWidth / 2) * vRadius;
+        // Pitch is the rise per full turn, relative to the profile height
+        const rise = (sweep / (Math.PI * 2)) * pitch;
+
+        return {
+            x: Math.cos(angle) * rBase,
+            y: -(vHeight + rise) * height * (gridWidth / 2),
+            z: Math.sin(angle) * rBase
+        };
+    },
+    tangents(u, v, curves, params) {
+        const { height, gridWidth, startAngle, pitch } = params;
+        const sweep = revolutionSweep(params) * Math.PI / 180;
+        const angle = startAngle * Math.PI / 180 + u * sweep;
+        const rBase = (gridWidth / 2) * sampleBezierSpline(v, curves.vertical, 'x');
+        const dRadius = (gridWidth / 2) * sampleBezierSplineDerivative(v, curves.vertical, 'x');
+        const scaleY = height * (gridWidth / 2);
+
+        return {
+            du: {
+                x: -Math.sin(angle) * rBase * sweep,
+                y: -(sweep / (Math.PI * 2)) * pitch * scaleY,
+                z: Math.cos(angle) * rBase * sweep
+            },
+            dv: {
+                x: Math.cos(angle) * dRadius,
+                y: -sampleBezierSplineDerivative(v, curves.vertical, 'y') * scaleY,
+                z: Math.sin(angle) * dRadius
+            }
+        };
+    }
+});
+
+registerMode({
+    name: 'sheet',
+    label: 'Sheet (Depth Map)',
+    editors: { vertical: 'Z Profile', horizontal: 'X Profile' },
+    position(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const vHeight = sampleBezierSpline(v, curves.vertical, 'y');
+        const hHeight = sampleBezierSpline(u, curves.horizontal, 'y');
+
+        return {
+            x: (u - 0.5) * gridWidth,
+            y: -(vHeight + hHeight) * height * (gridWidth / 2),
+            z: (v - 0.5) * gridDepth
+        };
+    },
+    tangents(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const scaleY = height * (gridWidth / 2);
+        return {
+            du: { x: gridWidth, y: -sampleBezierSplineDerivative(u, curves.horizontal, 'y') * scaleY, z: 0 },
+            dv: { x: 0, y: -sampleBezierSplineDerivative(v, curves.vertical, 'y') * scaleY, z: gridDepth }
+        };
+    }
+});
+
+/**
+ * Finds the pair of loft keys around v and how far v is between them.
+ * @param {number} v - V parameter
+ * @param {Array<{v: number, points: Array}>} keys - Resampled keys, sorted by height
+ * @returns {{k0: Object, k1: Object, f: number, df: number}} Lower and upper key, blend factor
+ *   and its derivative with respect to v
+ */
+function loftBlend(v, keys) {
+    let upper = keys.findIndex(key => key.v >= v);
+    if (upper === -1) upper = keys.length - 1;
+    const lower = Math.max(0, upper - 1);
+    const k0 = keys[lower];
+    const k1 = keys[upper];
+    const span = k1.v - k0.v;
+    const raw = span > 0 ? (v - k0.v) / span : 0;
+    const f = Math.max(0, Math.min(1, raw));
+    return { k0, k1, f, df: span > 0 && raw > 0 && raw < 1 ? 1 / span : 0 };
+}
+
+registerMode({
+    name: 'loft',
+    label: 'Loft (Shape Keys)',
+    editors: { vertical: 'Profile (Vertical)', horizontal: 'Shape Key (Horizontal)', shapeKeys: 'Shape Keys' },
+    prepare(curves) {
+        // Sort keys by height and resample them to a common point count so that
+        // matching control points can be blended.
+        const source = curves.shapeKeys && curves.shapeKeys.length > 0
+            ? curves.shapeKeys
+            : [{ v: 0, points: curves.horizontal }];
+        const sorted = [...source].sort((a, b) => a.v - b.v);
+        const count = Math.max(...sorted.map(key => key.points.length));
+        const keys = sorted.map(key => ({ v: key.v, points: resampleSpline(key.points, count) }));
+        return { ...curves, keys };
+    },
+    periodicU: (params, curves) => curves.keys.every(key => key.points.closed),
+    caps: () => true,
+    fill: fillTowardAxis,
+    position(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const vRadius = sampleBezierSpline(v, curves.vertical, 'x');
+        const vHeight = sampleBezierSpline(v, curves.vertical, 'y');
+        const { k0, k1, f } = loftBlend(v, curves.keys);
+
+        const rawX = sampleBezierSpline(u, k0.points, 'x') * (1 - f) + sampleBezierSpline(u, k1.points, 'x') * f;
+        const rawZ = sampleBezierSpline(u, k0.points, 'y') * (1 - f) + sampleBezierSpline(u, k1.points, 'y') * f;
+
+        return {
+            x: (rawX - 0.5) * gridWidth * vRadius,
+            y: -vHeight * height * (gridWidth / 2),
+            z: (rawZ - 0.5) * gridDepth * vRadius
+        };
+    },
+    tangents(u, v, curves, params) {
+        const { height, gridWidth, gridDepth } = params;
+        const vRadius = sampleBezierSpline(v, curves.vertical, 'x');
+        const dRadius = sampleBezierSplineDerivative(v, curves.vertical, 'x');
+        const { k0, k1, f, df } = loftBlend(v, curves.keys);
+
+        const x0 = sampleBezierSpline(u, k0.points, 'x');
+        const x1 = sampleBezierSpline(u, k1.points, 'x');
+        const z0 = sampleBezierSpline(u, k0.points, 'y');
+        const z1 = sampleBezierSpline(u, k1.points, 'y');
+        const rawX = x0 * (1 - f) + x1 * f;
+        const rawZ = z0 * (1 - f) + z1 * f;
+        const dX = sampleBezierSplineDerivative(u, k0.points, 'x') * (1 - f) + sampleBezierSplineDerivative(u, k1.points, 'x') * f;
+        const dZ = sampleBezierSplineDerivative(u, k0.points, 'y') * (1 - f) + sampleBezierSplineDerivative(u, k1.points, 'y') * f;
+
+        return {
+            du: { x: dX * gridWidth * vRadius, y: 0, z: dZ * gridDepth * vRadius },
+            dv: {
+                // The profile scales the shape while the blend between keys morphs it
+                x: ((rawX - 0.5) * dRadius + (x1 - x0) * df * vRadius) * gridWidth,
+                y: -sampleBezierSplineDerivative(v, curves.vertical, 'y') * height * (gridWidth / 2),
+                z: ((rawZ - 0.5) * dRadius + (z1 - z0) * df * vRadius) * gridDepth
+            }
+        };
+    }
+});
+
+/**
+ * Maps a normalized path point to world space: X and Z span the grid,
+ * Y rises with the height scale like the other modes.
+ * @param {number} t - Path parameter
+ * @param {Array} path - 3D path points
+ * @param {Object} params - Generation parameters
+ * @returns {{x: number, y: number, z: number}} World position
+ */
+function pathPosition(t, path, params) {
+    const { height, gridWidth, gridDepth } = params;
+    return {
+        x: (sampleBezierSpline(t, path, 'x') - 0.5) * gridWidth,
+        y: -sampleBezierSpline(t, path, 'y') * height * (gridWidth / 2),
+        z: (sampleBezierSpline(t, path, 'z') - 0.5) * gridDepth
+    };
+}
+
+/**
+ * Unit tangent of the path in world space. Falls back to a finite difference
+ * where the derivative vanishes (e.g. at an end point with a collapsed handle).
+ * @param {number} t - Path parameter
+ * @param {Array} path - 3D path points
+ * @param {Object} params - Generation parameters
+ * @returns {{x: number, y: number, z: number}} Unit tangent (zero for a degenerate path)
+ */
+function pathTangent(t, path, params) {
+    const { height, gridWidth, gridDepth } = params;
+    let x = sampleBezierSplineDerivative(t, path, 'x') * gridWidth;
+    let y = -sampleBezierSplineDerivative(t, path, 'y') * height * (gridWidth / 2);
+    let z = sampleBezierSplineDerivative(t, path, 'z') * gridDepth;
+
+    if (Math.hypot(x, y, z) < 1e-6) {
+        const h = 1e-3;
+        const a = pathPosition(Math.max(0, t - h), path, params);
+        const b = pathPosition(Math.min(1, t + h), path, params);
+        x = b.x - a.x;
+        y = b.y - a.y;
+        z = b.z - a.z;
+    }
+
+    const len = Math.hypot(x, y, z);
+    return len > 0 ? { x: x / len, y: y / len, z: z / len } : { x: 0, y: -1, z: 0 };
+}
+
+/** Number of samples used to propagate the path frames. */
+const PATH_FRAME_SAMPLES = 256;
+
+/**
+ * Point and frame of the path at v: the two nearest tabulated frames are blended,
+ * then the normal is made perpendicular to the exact tangent.
+ * @param {number} v - Path parameter
+ * @param {Object} curves - Prepared curves (`path` and `frames`)
+ * @param {Object} params - Generation parameters
+ * @returns {{p: Object, n: Object, b: Object}} Path point, unit normal and unit binormal
+ */
+function pathFrame(v, curves, params) {
+    const { path, frames } = curves;
+    const p = pathPosition(v, path, params);
+    const t = pathTangent(v, path, params);
+
+    const f = v * PATH_FRAME_SAMPLES;
+    const i0 = Math.min(PATH_FRAME_SAMPLES - 1, Math.floor(f));
+    const w = f - i0;
+    const a = frames[i0];
+    const b = frames[i0 + 1];
+    let nx = a.x + (b.x - a.x) * w;
+    let ny = a.y + (b.y - a.y) * w;
+    let nz = a.z + (b.z - a.z) * w;
+    const d = nx * t.x + ny * t.y + nz * t.z;
+    nx -= d * t.x;
+    ny -= d * t.y;
+    nz -= d * t.z;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len;
+    ny /= len;
+    nz /= len;
+
+    return {
+        p,
+        n: { x: nx, y: ny, z: nz },
+        b: { x: t.y * nz - t.z * ny, y: t.z * nx - t.x * nz, z: t.x * ny - t.y * nx }
+    };
+}
+
+registerMode({
+    name: 'path',
+    label: 'Path (3D Sweep)',
+    editors: { horizontal: 'Shape (Horizontal)', path: 'Path (3D)' },
+    axisCurves: { u: 'horizontal', v: 'path' },
+    params: [
+        { key: 'pathScale', label: 'Shape Scale', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.25 }
+    ],
+    periodicU: (params, curves) => Boolean(curves.horizontal.closed),
+    prepare(curves, params) {
+        const positions = [];
+        const tangents = [];
+        for (let i = 0; i <= PATH_FRAME_SAMPLES; i++) {
+            const t = i / PATH_FRAME_SAMPLES;
+            positions.push(pathPosition(t, curves.path, params));
+            tangents.push(pathTangent(t, curves.path, params));
+        }
+
+        // Start with the shape's X along world X (or Z when the path runs along X),
+        // so a straight vertical path matches the sweep mode
+        const t0 = tangents[0];
+        const ref = Math.abs(t0.x) > 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 };
+        const d = ref.x * t0.x + ref.y * t0.y + ref.z * t0.z;
+        const n = { x: ref.x - d * t0.x, y: ref.y - d * t0.y, z: ref.z - d * t0.z };
+        const len = Math.hypot(n.x, n.y, n.z);
+        const normal = { x: n.x / len, y: n.y / len, z: n.z / len };
+
+        return { ...curves, frames: computeRotationMinimizingFrames(positions, tangents, normal) };
+    },
+    position(u, v, curves, params) {
+        const { gridWidth, gridDepth, pathScale } = params;
+        const { p, n, b } = pathFrame(v, curves, params);
+        const localX = (sampleBezierSpline(u, curves.horizontal, 'x') - 0.5) * gridWidth * pathScale;
+        const localZ = (sampleBezierSpline(u, curves.horizontal, 'y') - 0.5) * gridDepth * pathScale;
+
+        return {
+            x: p.x + n.x * localX + b.x * localZ,
+            y: p.y + n.y * localX + b.y * localZ,
+            z: p.z + n.z * localX + b.z * localZ
+        };
+    },
+    tangents(u, v, curves, params) {
+        const { gridWidth, gridDepth, pathScale } = params;
+        const { n, b } = pathFrame(v, curves, params);
+        const dX = sampleBezierSplineDerivative(u, curves.horizontal, 'x') * gridWidth * pathScale;
+        const dZ = sampleBezierSplineDerivative(u, curves.horizontal, 'y') * gridDepth * pathScale;
+
+        // The frames are tabulated, so the derivative along the path is taken numerically
+        const h = 1e-3;
+        const v0 = Math.max(0, v - h);
+        const v1 = Math.min(1, v + h);
+        const p0 = this.position(u, v0, curves, params);
+        const p1 = this.position(u, v1, curves, params);
+
+        return {
+            du: { x: n.x * dX + b.x * dZ, y: n.y * dX + b.y * dZ, z: n.z * dX + b.z * dZ },
+            dv: { x: (p1.x - p0.x) / (v1 - v0), y: (p1.y - p0.y) / (v1 - v0), z: (p1.z - p0.z) / (v1 - v0) }
+        };
+    }
+});
+
+/** Variables available to parametric expressions besides u and v. */
+const PARAMETRIC_PARAMS = ['height', 'gridWidth', 'gridDepth'];
+
+/** Variables available to the parametric x, y and z expressions. */
+const PARAMETRIC_VARIABLES = ['u', 'v', ...PARAMETRIC_PARAMS];
+
+/** Samples per axis used to find the extent of a parametric surface. */
+const PARAMETRIC_BOUNDS_SAMPLES = 32;
+
+/**
+ * Builds a text parameter holding a parametric expression.
+ * @param {string} key - Parameter key
+ * @param {string} label - Sidebar label
+ * @param {string} value - Default expression
+ * @param {string[]} variables - Names the expression may read
+ * @returns {ModeParam} The parameter
+ */
+function expressionParam(key, label, value, variables) {
+    return { key, label, type: 'text', default: value, validate: source => validateExpression(source, variables) };
+}
+
+/**
+ * Compiles a parametric expression, naming the parameter in the error message.
+ * @param {Object} params - Generation parameters
+ * @param {string} key - Key of the expression parameter
+ * @param {string[]} variables - Names the expression may read
+ * @returns {function(Object): number} Compiled expression
+ */
+function compileParametric(params, key, variables) {
+    try {
+        return compileExpression(params[key], variables);
+    } catch (err) {
+        throw new Error(`Parametric ${key}: ${err.message}`);
+    }
+}
+
+/**
+ * Evaluates the parametric expressions at normalized (u, v). Values that are
+ * not finite, such as the square root of a negative number, become 0.
+ * @param {number} u - Normalized U in range [0, 1]
+ * @param {number} v - Normalized V in range [0, 1]
+ * @param {Object} expressions - Compiled expressions and ranges from `prepare`
+ * @returns {{x: number, y: number, z: number}} Position in expression units, y up
+ */
+function parametricPoint(u, v, expressions) {
+    const { scope } = expressions;
+    scope.u = expressions.uMin + u * expressions.uSpan;
+    scope.v = expressions.vMin + v * expressions.vSpan;
+    const finite = value => (Number.isFinite(value) ? value : 0);
+    return { x: finite(expressions.x(scope)), y: finite(expressions.y(scope)), z: finite(expressions.z(scope)) };
+}
+
+registerMode({
+    name: 'parametric',
+    label: 'Parametric (Expressions)',
+    editors: {},
+    params: [
+        expressionParam('xExpr', 'x(u, v)', '(2 + cos(v)) * cos(u)', PARAMETRIC_VARIABLES),
+        expressionParam('yExpr', 'y(u, v)', 'sin(v)', PARAMETRIC_VARIABLES),
+        expressionParam('zExpr', 'z(u, v)', '(2 + cos(v)) * sin(u)', PARAMETRIC_VARIABLES),
+        expressionParam('uMin', 'u From', '0', PARAMETRIC_PARAMS),
+        expressionParam('uMax', 'u To', '2 * pi', PARAMETRIC_PARAMS),
+        expressionParam('vMin', 'v From', '0', PARAMETRIC_PARAMS),
+        expressionParam('vMax', 'v To', '2 * pi', PARAMETRIC_PARAMS),
+        { key: 'exprScale', label: 'Scale', type: 'range', min: 1, max: 200, step: 1, default: 50 }
+    ],
+    prepare(curves, params) {
+        const scope = { u: 0, v: 0 };
+        for (const key of PARAMETRIC_PARAMS) scope[key] = params[key];
+
+        const range = key => compileParametric(params, key, PARAMETRIC_PARAMS)(scope);
+        const uMin = range('uMin');
+        const vMin = range('vMin');
+        const expressions = {
+            scope,
+            uMin,
+            uSpan: range('uMax') - uMin,
+            vMin,
+            vSpan: range('vMax') - vMin,
+            x: compileParametric(params, 'xExpr', PARAMETRIC_VARIABLES),
+            y: compileParametric(params, 'yExpr', PARAMETRIC_VARIABLES),
+            z: compileParametric(params, 'zExpr', PARAMETRIC_VARIABLES)
+        };
+
+        // Extent of the surface, for the height color and the seam test
+        let yMin = Infinity;
+        let yMax = -Infinity;
+        let extent = 0;
+        for (let i = 0; i <= PARAMETRIC_BOUNDS_SAMPLES; i++) {
+            for (let j = 0; j <= PARAMETRIC_BOUNDS_SAMPLES; j++) {
+                const p = parametricPoint(j / PARAMETRIC_BOUNDS_SAMPLES, i / PARAMETRIC_BOUNDS_SAMPLES, expressions);
+                yMin = Math.min(yMin, p.y);
+                yMax = Math.max(yMax, p.y);
+                extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y), Math.abs(p.z));
+            }
+        }
+
+        return { ...curves, expressions: { ...expressions, yMin, ySpan: yMax - yMin, extent } };
+    },
+    periodicU(params, curves) {
+        // Closed when u = 1 lands on u = 0 all along v, as for a torus
+        const { expressions } = curves;
+        const tolerance = 1e-9 * Math.max(1, expressions.extent);
+        for (let i = 0; i <= PARAMETRIC_BOUNDS_SAMPLES; i++) {
+            const v = i / PARAMETRIC_BOUNDS_SAMPLES;
+            const a = parametricPoint(0, v, expressions);
+            const b = parametricPoint(1, v, expressions);
+            if (Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) > tolerance) return false;
+        }
+        return true;
+    },
+    colorHeight(u, v, curves) {
+        const { yMin, ySpan } = curves.expressions;
+        return ySpan > 0 ? (parametricPoint(u, v, curves.expressions).y - yMin) / ySpan : 0;
+    },
+    position(u, v, curves, params) {
+        const p = parametricPoint(u, v, curves.expressions);
+        const scale = params.exprScale;
+        // Expressions use y up, the world uses -Y up
+        return { x: p.x * scale, y: -p.y * scale, z: p.z * scale };
+    }
+});
+
+/** Variables available to the implicit expression. */
+const IMPLICIT_VARIABLES = ['x', 'y', 'z', 'height', 'gridWidth', 'gridDepth'];
+
+/** Maximum number of grid cells along each axis of the implicit mode. */
+const IMPLICIT_MAX_CELLS = 256;
+
+/**
+ * Moves a point onto the zero set of a function with a few Newton steps along
+ * the gradient. The gradient at the final point is returned as the normal.
+ * @param {function(number, number, number): number} f - Implicit function
+ * @param {{x: number, y: number, z: number}} p - Point near the surface
+ * @param {number} eps - Finite difference step
+ * @param {number} iterations - Number of Newton steps
+ * @returns {{point: Object, normal: ?Object}} Projected point and unit normal (null where flat)
+ */
+function projectToSurface(f, p, eps, iterations) {
+    let { x, y, z } = p;
+    let gx = 0;
+    let gy = 0;
+    let gz = 0;
+    for (let i = 0; i <= iterations; i++) {
+        gx = (f(x + eps, y, z) - f(x - eps, y, z)) / (2 * eps);
+        gy = (f(x, y + eps, z) - f(x, y - eps, z)) / (2 * eps);
+        gz = (f(x, y, z + eps) - f(x, y, z - eps)) / (2 * eps);
+        const lenSq = gx * gx + gy * gy + gz * gz;
+        if (i === iterations || lenSq < 1e-12) break;
+        const d = f(x, y, z) / lenSq;
+        x -= d * gx;
+        y -= d * gy;
+        z -= d * gz;
+    }
+    const len = Math.hypot(gx, gy, gz);
+    return { point: { x, y, z }, normal: len > 1e-6 ? { x: gx / len, y: gy / len, z: gz / len } : null };
+}
+
+registerMode({
+    name: 'implicit',
+    label: 'Implicit (SDF)',
+    editors: { shapes: 'Implicit Shapes' },
+    params: [
+        {
+            key: 'implicitSource', label: 'Source', type: 'select', default: 'shapes',
+            options: [{ value: 'shapes', label: 'Primitive Shapes' }, { value: 'expression', label: 'Expression' }]
+        },
+        {
+            key: 'implicitExpr', label: 'f(x, y, z)', type: 'text', default: 'hypot(x, y - 0.5, z) - 0.4',
+            validate: source => validateExpression(source, IMPLICIT_VARIABLES),
+            visible: params => params.implicitSource === 'expression'
+        },
+        { key: 'implicitProject', label: 'Project onto Surface', type: 'checkbox', default: true }
+    ],
+    prepare(curves, params) {
+        if (params.implicitSource === 'expression') {
+            let evaluate;
+            try {
+                evaluate = compileExpression(params.implicitExpr, IMPLICIT_VARIABLES);
+            } catch (err) {
+                throw new Error(`Implicit implicitExpr: ${err.message}`);
+            }
+            const scope = { x: 0, y: 0, z: 0, height: params.height, gridWidth: params.gridWidth, gridDepth: params.gridDepth };
+            return {
+                ...curves,
+                distance: (x, y, z) => {
+                    scope.x = x;
+                    scope.y = y;
+                    scope.z = z;
+                    return evaluate(scope);
+                }
+            };
+        }
+        return { ...curves, distance: compileShapes(params.shapes ?? defaultShapes()) };
+    },
+    colorHeight(u, v) {
+        return v;
+    },
+    sample(curves, params) {
+        // Marching pass over the grid bounds: x spans -1 to 1 across the grid width,
+        // z the same scale across the grid depth, y from the base up to `height`.
+        const { distance } = curves;
+        if (!distance) return [];
+        const { gridWidth, gridDepth, implicitProject, density, densityU = density, densityV = density } = params;
+        const top = Math.max(1e-3, params.height);
+        const depth = gridDepth / gridWidth;
+        const nx = Math.max(1, Math.min(IMPLICIT_MAX_CELLS, Math.round(densityU)));
+        const nz = Math.max(1, Math.min(IMPLICIT_MAX_CELLS, Math.round(densityU * depth)));
+        const ny = Math.max(1, Math.min(IMPLICIT_MAX_CELLS, Math.round(densityV)));
+        const hx = 2 / nx;
+        const hy = top / ny;
+        const hz = 2 * depth / nz;
+
+        // Distances at every grid node
+        const sx = nx + 1;
+        const sxy = sx * (ny + 1);
+        const values = new Float32Array(sxy * (nz + 1));
+        for (let k = 0; k <= nz; k++) {
+            for (let j = 0; j <= ny; j++) {
+                for (let i = 0; i <= nx; i++) {
+                    values[i + j * sx + k * sxy] = distance(-1 + i * hx, j * hy, -depth + k * hz);
+                }
+            }
+        }
+
+        const eps = 1e-3 * Math.min(hx, hy, hz);
+        const tolerance = 1e-6;
+        const scale = gridWidth / 2;
+        const samples = [];
+
+        /** Adds the zero crossing on the edge between two nodes, if the sign changes. */
+        const crossing = (a, b, ax, ay, az, bx, by, bz) => {
+            const fa = values[a];
+            const fb = values[b];
+            if ((fa <= 0) === (fb <= 0)) return;
+            const t = fa / (fa - fb);
+            let p = { x: ax + (bx - ax) * t, y: ay + (by - ay) * t, z: az + (bz - az) * t };
+            const projected = projectToSurface(distance, p, eps, implicitProject ? 4 : 0);
+            if (implicitProject) p = projected.point;
+
+            // Keep the output inside the grid bounds
+            if (Math.abs(p.x) > 1 + tolerance || Math.abs(p.z) > depth + tolerance
+                || p.y < -tolerance || p.y > top + tolerance) return;
+
+            const n = projected.normal;
+            samples.push([
+                (p.x + 1) / 2,
+                p.y / top,
+                { x: p.x * scale, y: -p.y * scale, z: p.z * scale },
+                n ? { x: n.x, y: -n.y, z: n.z } : null
+            ]);
+        };
+
+        for (let k = 0; k <= nz; k++) {
+            const z = -depth + k * hz;
+            for (let j = 0; j <= ny; j++) {
+                const y = j * hy;
+                for (let i = 0; i <= nx; i++) {
+                    const x = -1 + i * hx;
+                    const index = i + j * sx + k * sxy;
+                    if (i < nx) crossing(index, index + 1, x, y, z, x + hx, y, z);
+                    if (j < ny) crossing(index, index + sx, x, y, z, x, y + hy, z);
+                    if (k < nz) crossing(index, index + sxy, x, y, z, x, y, z + hz);
+                }
+            }
+        }
+        return samples;
+    }
+});
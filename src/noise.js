@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Seeded random numbers and coherent noise for reproducible point clouds.
+ * Provides a small PRNG, 3D gradient (Perlin) noise and fractal Brownian motion,
+ * all driven by an integer seed so the same parameters always give the same cloud.
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Function returning uniformly distributed numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let a = (seed | 0) >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Seed offsets of the random streams derived by {@link createStream}. */
+const RANDOM_STREAMS = {
+    scatter: 0x27d4eb2f,
+    caps: 0x165667b1,
+    fill: 0x5bd1e995,
+    arrays: 0x85ebca6b
+};
+
+/**
+ * Creates the random stream of one generation step, derived from the seed. Steps
+ * draw from their own streams rather than the one the surface noise uses, so
+ * turning a step on or changing its options leaves the noise of the other points as it was.
+ *
+ * @param {number} seed - Generation seed
+ * @param {'scatter'|'caps'|'fill'|'arrays'} name - Generation step
+ * @returns {function(): number} Function returning uniformly distributed numbers in [0, 1)
+ */
+export function createStream(seed, name) {
+    const offset = RANDOM_STREAMS[name];
+    if (offset === undefined) throw new Error(`Unknown random stream "${name}"`);
+    return createRandom(seed ^ offset);
+}
+
+/**
+ * Quintic fade curve used to smooth the noise lattice interpolation.
+ * @param {number} t - Value in range [0, 1]
+ * @returns {number} Smoothed value
+ * @private
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Linear interpolation.
+ * @param {number} a - Start value
+ * @param {number} b - End value
+ * @param {number} t - Interpolation factor
+ * @returns {number} Interpolated value
+ * @private
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Dot product of a pseudo-random lattice gradient with the offset vector.
+ * @param {number} hash - Lattice hash
+ * @param {number} x - Offset X
+ * @param {number} y - Offset Y
+ * @param {number} z - Offset Z
+ * @returns {number} Gradient contribution
+ * @private
+ */
+function grad(hash, x, y, z) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+/**
+ * Creates a seeded 3D gradient noise function (Ken Perlin's improved noise).
+ *
+ * @param {number} seed - Integer seed used to shuffle the permutation table
+ * @returns {function(number, number, number): number} Noise function returning values in roughly [-1, 1]
+ */
+export function createNoise3D(seed) {
+    const random = createRandom(seed);
+    const perm = new Uint8Array(512);
+    const base = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) base[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = base[i];
+        base[i] = base[j];
+        base[j] = tmp;
+    }
+    for (let i = 0; i < 512; i++) perm[i] = base[i & 255];
+
+    return function noise3D(x, y, z) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const X = xi & 255;
+        const Y = yi & 255;
+        const Z = zi & 255;
+        x -= xi;
+        y -= yi;
+        z -= zi;
+
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+
+        const A = perm[X] + Y;
+        const AA = perm[A] + Z;
+        const AB = perm[A + 1] + Z;
+        const B = perm[X + 1] + Y;
+        const BA = perm[B] + Z;
+        const BB = perm[B + 1] + Z;
+
+        return lerp(
+            lerp(
+                lerp(grad(perm[AA], x, y, z), grad(perm[BA], x - 1, y, z), u),
+                lerp(grad(perm[AB], x, y - 1, z), grad(perm[BB], x - 1, y - 1, z), u),
+                v
+            ),
+            lerp(
+                lerp(grad(perm[AA + 1], x, y, z - 1), grad(perm[BA + 1], x - 1, y, z - 1), u),
+                lerp(grad(perm[AB + 1], x, y - 1, z - 1), grad(perm[BB + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+    };
+}
+
+/**
+ * Fractal Brownian motion: sums octaves of a noise function at increasing
+ * frequency and decreasing amplitude. The result is normalized to roughly [-1, 1].
+ *
+ * @param {function(number, number, number): number} noise3D - Base noise function
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} [octaves=4] - Number of noise layers
+ * @param {number} [lacunarity=2] - Frequency multiplier per octave
+ * @param {number} [gain=0.5] - Amplitude multiplier per octave
+ * @returns {number} Fractal noise value
+ */
+export function fbm(noise3D, x, y, z, octaves = 4, lacunarity = 2, gain = 0.5) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let norm = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += noise3D(x * frequency, y * frequency, z * frequency) * amplitude;
+        norm += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+    return norm > 0 ? sum / norm : 0;
+}
@@ -1,7 +1,14 @@
 /**
  * Preset curve configurations for the Point Cloud Generator.
  * Coordinates are normalized [0, 1].
- * All points MUST have cp1 and cp2 control handles.
+ * All points MUST have cp1 and cp2 control handles. A point may set `mode`
+ * ('symmetric', 'aligned', 'free' or 'auto') to choose how the editor moves its
+ * handles; points without one are symmetric. Closed curves, such as the
+ * circle, are point arrays with `closed` set to true: the spline runs from the
+ * last point back to the first, so the first point is not repeated at the end.
+ * Presets may also define `shapeKeys` ({ v, points }) used by the loft mode
+ * and a 3D `path` (points with `z` and `dz`) used by the path mode, plus
+ * `params` that override mode parameters (e.g. `pathScale`) when the preset loads.
  */
 
 const createPoint = (x, y, dx1 = 0, dy1 = 0, dx2 = 0, dy2 = 0) => ({
@@ -10,26 +17,115 @@ const createPoint = (x, y, dx1 = 0, dy1 = 0, dx2 = 0, dy2 = 0) => ({
     cp2: { dx: dx2, dy: dy2 }
 });
 
+/**
+ * Marks a curve as closed.
+ * @param {Array} points - Curve points
+ * @returns {Array} The same array
+ */
+const closeCurve = points => Object.assign(points, { closed: true });
+
 // Standard Circle Approximation (Radius 0.5 centered at 0.5,0.5)
 // Width 1.0 (0 to 1), Height 1.0 (0 to 1)
 // K = 0.5522847498 * radius (0.5) ~= 0.276
 const K = 0.276;
 
-const CIRCLE_SHAPE = [
+const CIRCLE_SHAPE = closeCurve([
     createPoint(1.0, 0.5, 0, -K, 0, K),     // Right
     createPoint(0.5, 1.0, K, 0, -K, 0),     // Top
     createPoint(0.0, 0.5, 0, K, 0, -K),     // Left
-    createPoint(0.5, 0.0, -K, 0, K, 0),     // Bottom
-    createPoint(1.0, 0.5, 0, -K, 0, K)      // Right (Close)
-];
+    createPoint(0.5, 0.0, -K, 0, K, 0)      // Bottom
+]);
+
+/**
+ * Builds a closed circular shape from `count` arcs, starting at `startAngle`.
+ * Handles are sized so each arc closely approximates a circle.
+ * @param {number} count - Number of arcs
+ * @param {number} [startAngle=0] - Angle of the first point in radians
+ * @returns {Array} Closed shape, one point per arc
+ */
+const createCircleShape = (count, startAngle = 0) => {
+    const step = (Math.PI * 2) / count;
+    const k = (4 / 3) * Math.tan(step / 4) * 0.5;
+    const shape = [];
+    for (let i = 0; i < count; i++) {
+        const a = startAngle + i * step;
+        const tx = -Math.sin(a) * k;
+        const ty = Math.cos(a) * k;
+        shape.push(createPoint(0.5 + Math.cos(a) * 0.5, 0.5 + Math.sin(a) * 0.5, -tx, -ty, tx, ty));
+    }
+    return closeCurve(shape);
+};
+
+/**
+ * Creates a point of a 3D path. Handles carry a `dz` component.
+ */
+const createPathPoint = (x, y, z, dx1 = 0, dy1 = 0, dz1 = 0, dx2 = 0, dy2 = 0, dz2 = 0) => ({
+    x, y, z,
+    cp1: { dx: dx1, dy: dy1, dz: dz1 },
+    cp2: { dx: dx2, dy: dy2, dz: dz2 }
+});
+
+/**
+ * Builds a helix path centered in the X-Z plane, rising from y = 0 to y = 1.
+ * @param {number} turns - Number of full turns
+ * @param {number} radius - Helix radius in normalized units
+ * @returns {Array} Path points, one per quarter turn
+ */
+const createHelixPath = (turns, radius) => {
+    const count = Math.round(turns * 4);
+    const k = 0.5523 * radius;
+    const rise = 1 / count / 3;
+    const path = [];
+    for (let i = 0; i <= count; i++) {
+        const a = i * Math.PI / 2;
+        const tx = -Math.sin(a) * k;
+        const tz = Math.cos(a) * k;
+        path.push(createPathPoint(
+            0.5 + Math.cos(a) * radius, i / count, 0.5 + Math.sin(a) * radius,
+            -tx, -rise, -tz,
+            tx, rise, tz
+        ));
+    }
+    return path;
+};
+
+// Sharp corners: free handles, so dragging one out rounds only that side
+const createCorner = (x, y) => ({ ...createPoint(x, y), mode: 'free' });
+
+const SQUARE_SHAPE = closeCurve([
+    createCorner(0.9, 0.1),
+    createCorner(0.9, 0.9),
+    createCorner(0.1, 0.9),
+    createCorner(0.1, 0.1)
+]);
 
-const SQUARE_SHAPE = [
-    createPoint(0.9, 0.1, 0, 0, 0, 0),
-    createPoint(0.9, 0.9, 0, 0, 0, 0),
-    createPoint(0.1, 0.9, 0, 0, 0, 0),
-    createPoint(0.1, 0.1, 0, 0, 0, 0),
-    createPoint(0.9, 0.1, 0, 0, 0, 0)
-];
+/**
+ * Curves loaded into the editors on startup and reset.
+ * Also used by the CLI when no preset is given.
+ */
+export const defaultCurves = {
+    vertical: [
+        createPoint(0.5, 0, -0.1, 0, 0.1, 0),
+        createPoint(0.8, 0.5, 0, -0.1, 0, 0.1),
+        createPoint(0.5, 1, 0.1, 0, -0.1, 0)
+    ],
+    horizontal: [
+        createPoint(0, 0.5, 0, 0.2, 0, -0.2),
+        createPoint(0.5, 0.1, -0.2, 0, 0.2, 0),
+        createPoint(1, 0.5, 0, -0.2, 0, 0.2)
+    ],
+    // Deformer falloff: amount over height, a linear ramp by default
+    falloff: [
+        createPoint(0, 0, 0, 0, 0.3, 0.3),
+        createPoint(1, 1, -0.3, -0.3, 0, 0)
+    ],
+    // 3D path used by the path mode, edited in the top and front views
+    path: [
+        createPathPoint(0.5, 0, 0.5, 0, 0, 0, 0, 0.2, 0),
+        createPathPoint(0.3, 0.5, 0.6, 0.05, -0.15, -0.05, -0.05, 0.15, 0.05),
+        createPathPoint(0.7, 1, 0.4, -0.2, 0, 0, 0, 0, 0)
+    ]
+};
 
 export const presets = {
     cylinder: {
@@ -68,6 +164,30 @@ export const presets = {
         ],
         horizontal: CIRCLE_SHAPE
     },
+    spring: {
+        label: "Coil Spring (Path)",
+        vertical: [
+            createPoint(1.0, 0.0, 0, 0, 0, 0),
+            createPoint(1.0, 1.0, 0, 0, 0, 0)
+        ],
+        horizontal: CIRCLE_SHAPE,
+        path: createHelixPath(3, 0.3),
+        params: { pathScale: 0.08 }
+    },
+    squareToRound: {
+        label: "Square to Round (Loft)",
+        vertical: [
+            createPoint(0.8, 0.0, 0, 0, 0, 0.2),
+            createPoint(0.8, 1.0, 0, -0.2, 0, 0)
+        ],
+        horizontal: SQUARE_SHAPE,
+        // Circle points start at the square's first corner (-45 degrees) so the
+        // corners blend into matching points on the circle
+        shapeKeys: [
+            { v: 0, points: SQUARE_SHAPE },
+            { v: 1, points: createCircleShape(8, -Math.PI / 4) }
+        ]
+    },
     hourglass: {
         label: "Hourglass",
         vertical: [
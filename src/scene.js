@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Objects of a multi-object scene and their transforms.
+ *
+ * Every object of a scene is generated on its own, in the same space as a
+ * single cloud, and then placed with its transform: scaled, rotated around X,
+ * Y and Z (in that order, around the object's base) and moved. Translation Y
+ * points up, like the sidebar's height, so it is subtracted from world Y.
+ *
+ * Transforms can also be turned into 4x4 matrices, stored column-major like
+ * WGSL's `mat4x4<f32>`, so the renderer can place copies on the GPU.
+ */
+
+/** @typedef {import('./PointBuffer.js').PointBuffer} PointBuffer */
+
+/**
+ * Transform settings, in the same form as mode parameters so the sidebar can
+ * build their controls.
+ * @type {import('./modes.js').ModeParam[]}
+ */
+export const TRANSFORM_PARAMS = [
+    { key: 'x', label: 'Move X', type: 'number', step: 5, default: 0 },
+    { key: 'y', label: 'Move Y (Up)', type: 'number', step: 5, default: 0 },
+    { key: 'z', label: 'Move Z', type: 'number', step: 5, default: 0 },
+    { key: 'rotateX', label: 'Rotate X (°)', type: 'range', min: -180, max: 180, step: 1, default: 0 },
+    { key: 'rotateY', label: 'Rotate Y (°)', type: 'range', min: -180, max: 180, step: 1, default: 0 },
+    { key: 'rotateZ', label: 'Rotate Z (°)', type: 'range', min: -180, max: 180, step: 1, default: 0 },
+    { key: 'scale', label: 'Scale', type: 'range', min: 0.05, max: 5, step: 0.05, default: 1 }
+];
+
+/**
+ * Creates a transform with the default settings.
+ *
+ * @param {Object} [overrides] - Settings that replace the defaults
+ * @returns {Object} A new transform
+ */
+export function createTransform(overrides = {}) {
+    const transform = {};
+    for (const param of TRANSFORM_PARAMS) {
+        transform[param.key] = param.default;
+    }
+    return { ...transform, ...overrides };
+}
+
+/**
+ * Whether a transform leaves points where they are.
+ *
+ * @param {Object} transform - Transform settings
+ * @returns {boolean} True for the identity transform
+ */
+export function isIdentityTransform(transform) {
+    return TRANSFORM_PARAMS.every(param => (transform[param.key] ?? param.default) === param.default);
+}
+
+/**
+ * Builds the matrix of a transform.
+ *
+ * @param {Object} transform - Transform settings
+ * @returns {number[]} Column-major 4x4 matrix
+ */
+export function transformMatrix(transform) {
+    const t = createTransform(transform);
+    const rad = Math.PI / 180;
+    const [cx, sx] = [Math.cos(t.rotateX * rad), Math.sin(t.rotateX * rad)];
+    const [cy, sy] = [Math.cos(t.rotateY * rad), Math.sin(t.rotateY * rad)];
+    const [cz, sz] = [Math.cos(t.rotateZ * rad), Math.sin(t.rotateZ * rad)];
+
+    // Rotation around X, then Y, then Z, as rows
+    const r = [
+        [cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx],
+        [sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx],
+        [-sy, cy * sx, cy * cx]
+    ];
+    const s = t.scale;
+    return [
+        r[0][0] * s, r[1][0] * s, r[2][0] * s, 0,
+        r[0][1] * s, r[1][1] * s, r[2][1] * s, 0,
+        r[0][2] * s, r[1][2] * s, r[2][2] * s, 0,
+        t.x, -t.y, t.z, 1
+    ];
+}
+
+/**
+ * Multiplies two column-major 4x4 matrices.
+ *
+ * @param {number[]} a - Matrix applied second
+ * @param {number[]} b - Matrix applied first
+ * @returns {number[]} The product a·b
+ */
+export function multiplyMatrices(a, b) {
+    const out = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+/**
+ * Returns a transformed copy of a point cloud. Normals are turned with the
+ * points and colors are kept.
+ *
+ * @param {PointBuffer} points - Points in object space
+ * @param {Object} transform - Transform settings
+ * @returns {PointBuffer} Points in scene space
+ */
+export function transformPoints(points, transform) {
+    if (isIdentityTransform(transform)) return points;
+    return points.transformed(transformMatrix(transform));
+}
+
+/**
+ * Turns an object name into a string that is safe in file names.
+ *
+ * @param {string} name - Object name
+ * @returns {string} Lowercase name with dashes, or 'object' when nothing is left
+ */
+export function slugify(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'object';
+}
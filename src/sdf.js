@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Signed distance functions for the implicit geometry mode.
+ *
+ * A scene is a list of primitive shapes combined in order: each shape is merged
+ * into the result so far with its own operation (union, subtract, intersect or
+ * a smooth union that blends the two). Distances are measured in the implicit
+ * mode's units: x and z span -1 to 1 across the grid width, y runs upward from
+ * 0 at the base to `height`.
+ *
+ * @example
+ * const shapes = [createShape('sphere'), createShape('box', { op: 'subtract', y: 0.8 })];
+ * const distance = compileShapes(shapes);
+ * distance(0, 0.5, 0); // negative inside the scene
+ */
+
+/**
+ * @typedef {Object} PrimitiveType
+ * @property {string} name - Unique identifier, used as the shape's `type`
+ * @property {string} label - Name shown in the sidebar
+ * @property {import('./modes.js').ModeParam[]} params - Settings shown in the sidebar; the
+ *   operation, blend and center settings shared by all primitives are added on registration
+ * @property {function(number, number, number, Object): number} distance - Signed distance from
+ *   (x, y, z), relative to the shape's center, to the surface of the shape
+ */
+
+/**
+ * @typedef {Object} Shape
+ * @property {string} type - Name of a registered primitive type
+ * @property {boolean} enabled - Whether the shape is part of the scene
+ * @property {'union'|'subtract'|'intersect'|'smooth'} op - How the shape is merged into the shapes before it
+ * @property {number} blend - Blend distance of the smooth union
+ * @property {number} x - Center X
+ * @property {number} y - Center Y (up)
+ * @property {number} z - Center Z
+ */
+
+/**
+ * Settings shared by all primitives.
+ * @type {import('./modes.js').ModeParam[]}
+ */
+const COMMON_PARAMS = [
+    {
+        key: 'op', label: 'Operation', type: 'select', default: 'union',
+        options: [
+            { value: 'union', label: 'Union' },
+            { value: 'subtract', label: 'Subtract' },
+            { value: 'intersect', label: 'Intersect' },
+            { value: 'smooth', label: 'Smooth Union' }
+        ]
+    },
+    { key: 'blend', label: 'Blend', type: 'range', min: 0.01, max: 0.5, step: 0.01, default: 0.15 },
+    { key: 'x', label: 'Center X', type: 'range', min: -1, max: 1, step: 0.01, default: 0 },
+    { key: 'y', label: 'Center Y', type: 'range', min: 0, max: 2, step: 0.01, default: 0.5 },
+    { key: 'z', label: 'Center Z', type: 'range', min: -1, max: 1, step: 0.01, default: 0 }
+];
+
+/** @type {Map<string, PrimitiveType>} */
+const registry = new Map();
+
+/**
+ * Adds a primitive type to the registry, replacing any type with the same name.
+ *
+ * @param {PrimitiveType} primitive - The primitive definition
+ * @returns {PrimitiveType} The registered primitive type
+ */
+export function registerPrimitive(primitive) {
+    if (!primitive || typeof primitive.name !== 'string' || !primitive.name) {
+        throw new Error('Primitive needs a name');
+    }
+    if (typeof primitive.distance !== 'function') {
+        throw new Error(`Primitive "${primitive.name}" needs a distance function`);
+    }
+
+    const entry = {
+        label: primitive.name,
+        ...primitive,
+        params: [...COMMON_PARAMS, ...(primitive.params || [])]
+    };
+    registry.set(entry.name, entry);
+    return entry;
+}
+
+/**
+ * Looks up a registered primitive type.
+ *
+ * @param {string} name - Primitive type name
+ * @returns {PrimitiveType|undefined} The primitive type, or undefined if not registered
+ */
+export function getPrimitive(name) {
+    return registry.get(name);
+}
+
+/**
+ * Lists all registered primitive types in registration order.
+ *
+ * @returns {PrimitiveType[]} Registered primitive types
+ */
+export function listPrimitives() {
+    return [...registry.values()];
+}
+
+/**
+ * Creates a shape of the given primitive type with its default settings.
+ *
+ * @param {string} type - Primitive type name
+ * @param {Object} [overrides] - Settings that replace the defaults
+ * @returns {Shape} A new shape
+ */
+export function createShape(type, overrides = {}) {
+    const primitive = registry.get(type);
+    if (!primitive) {
+        const available = listPrimitives().map(p => p.name).join(', ');
+        throw new Error(`Unknown primitive "${type}". Available: ${available}`);
+    }
+
+    const settings = { type, enabled: true };
+    for (const param of primitive.params) {
+        settings[param.key] = param.default;
+    }
+    return { ...settings, ...overrides };
+}
+
+/**
+ * Scene used by the implicit mode when none is given: two blobs merged with a smooth union.
+ *
+ * @returns {Shape[]} A new list of shapes
+ */
+export function defaultShapes() {
+    return [
+        createShape('sphere', { x: -0.2, y: 0.4, radius: 0.35 }),
+        createShape('sphere', { op: 'smooth', x: 0.3, y: 0.65, radius: 0.25, blend: 0.2 })
+    ];
+}
+
+/**
+ * Smooth minimum (polynomial), used for blobby unions.
+ * @param {number} a - First distance
+ * @param {number} b - Second distance
+ * @param {number} k - Blend distance
+ * @returns {number} Blended distance
+ * @private
+ */
+function smoothMin(a, b, k) {
+    const h = Math.max(0, Math.min(1, 0.5 + 0.5 * (b - a) / k));
+    return b + (a - b) * h - k * h * (1 - h);
+}
+
+/**
+ * Compiles a list of shapes into a single signed distance function.
+ *
+ * @param {Shape[]} shapes - Shapes, merged in order
+ * @returns {function(number, number, number): number|null} Signed distance function of (x, y, z),
+ *   or null when no shape is enabled
+ */
+export function compileShapes(shapes = []) {
+    const active = shapes
+        .filter(s => s.enabled !== false)
+        .map(s => {
+            const type = registry.get(s.type);
+            if (!type) throw new Error(`Unknown primitive "${s.type}"`);
+            return { type, settings: s };
+        });
+    if (active.length === 0) return null;
+
+    return (x, y, z) => {
+        let d = Infinity;
+        active.forEach(({ type, settings }, i) => {
+            const s = type.distance(x - settings.x, y - settings.y, z - settings.z, settings);
+            // The first shape starts the scene, whatever its operation
+            if (i === 0) {
+                d = s;
+                return;
+            }
+            switch (settings.op) {
+                case 'subtract':
+                    d = Math.max(d, -s);
+                    break;
+                case 'intersect':
+                    d = Math.max(d, s);
+                    break;
+                case 'smooth':
+                    d = smoothMin(d, s, Math.max(1e-6, settings.blend));
+                    break;
+                default:
+                    d = Math.min(d, s);
+            }
+        });
+        return d;
+    };
+}
+
+// --- Built-in primitives ---
+
+registerPrimitive({
+    name: 'sphere',
+    label: 'Sphere',
+    params: [
+        { key: 'radius', label: 'Radius', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.4 }
+    ],
+    distance(x, y, z, { radius }) {
+        return Math.hypot(x, y, z) - radius;
+    }
+});
+
+registerPrimitive({
+    name: 'box',
+    label: 'Box',
+    params: [
+        { key: 'sizeX', label: 'Half Size X', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.3 },
+        { key: 'sizeY', label: 'Half Size Y', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.3 },
+        { key: 'sizeZ', label: 'Half Size Z', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.3 }
+    ],
+    distance(x, y, z, { sizeX, sizeY, sizeZ }) {
+        const qx = Math.abs(x) - sizeX;
+        const qy = Math.abs(y) - sizeY;
+        const qz = Math.abs(z) - sizeZ;
+        const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0));
+        return outside + Math.min(Math.max(qx, qy, qz), 0);
+    }
+});
+
+registerPrimitive({
+    name: 'torus',
+    label: 'Torus',
+    params: [
+        { key: 'radius', label: 'Ring Radius', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.4 },
+        { key: 'thickness', label: 'Tube Radius', type: 'range', min: 0.01, max: 0.5, step: 0.01, default: 0.12 }
+    ],
+    distance(x, y, z, { radius, thickness }) {
+        // Ring lies flat, in the X-Z plane
+        return Math.hypot(Math.hypot(x, z) - radius, y) - thickness;
+    }
+});
+
+registerPrimitive({
+    name: 'capsule',
+    label: 'Capsule',
+    params: [
+        { key: 'length', label: 'Length', type: 'range', min: 0, max: 2, step: 0.01, default: 0.5 },
+        { key: 'radius', label: 'Radius', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.15 },
+        {
+            key: 'axis', label: 'Axis', type: 'select', default: 'y',
+            options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }, { value: 'z', label: 'Z' }]
+        }
+    ],
+    distance(x, y, z, { length, radius, axis }) {
+        // Segment of the given length through the center, along the axis
+        const half = length / 2;
+        const p = { x, y, z };
+        p[axis] -= Math.max(-half, Math.min(half, p[axis]));
+        return Math.hypot(p.x, p.y, p.z) - radius;
+    }
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generatePointCloud, createDeformer, SurfaceGenerator, DEFAULT_PARAMS, presets, defaultCurves, getModeDefaults
+} from '../src/core.js';
+
+// Steps in y: the gradient is zero everywhere, so the implicit mode finds no normals
+const flat = { mode: 'implicit', implicitSource: 'expression', implicitExpr: 'floor(y*7) - 3', densityU: 12, densityV: 12 };
+
+test('implicit surfaces without a gradient get the up normal', () => {
+    const points = generatePointCloud({ params: flat });
+    assert.ok(points.length > 0);
+    for (const p of points.toObjects()) {
+        assert.deepEqual([p.nx, p.ny, p.nz], [0, -1, 0]);
+    }
+});
+
+test('implicit surfaces without a gradient can be deformed', () => {
+    const points = generatePointCloud({ params: { ...flat, deformers: [createDeformer('twist')] } });
+    assert.ok(points.length > 0);
+    for (const p of points.toObjects()) {
+        assert.ok([p.nx, p.ny, p.nz].every(Number.isFinite));
+    }
+});
+
+test('recoloring a cloud matches generating it with the new colors', () => {
+    const base = { mode: 'revolution', densityU: 16, densityV: 12, color: '#ff0000', color2: '#0000ff', colorMode: 'solid' };
+    for (const colorMode of ['height', 'depth', 'normal']) {
+        const points = generatePointCloud({ preset: 'vase', params: base });
+        assert.ok(SurfaceGenerator.recolor(points, { ...base, colorMode }));
+        const expected = generatePointCloud({ preset: 'vase', params: { ...base, colorMode } });
+        assert.deepEqual(points.data, expected.data, colorMode);
+    }
+});
+
+test('point estimates match the generated clouds', () => {
+    const { vertical, horizontal } = presets.vase;
+    const curves = { vertical, horizontal, shapeKeys: [{ v: 0, points: horizontal }], path: defaultCurves.path };
+    const cases = {
+        revolution: { mode: 'revolution' },
+        'closed sweep': { mode: 'sweep' },
+        'capped sweep': { mode: 'sweep', capTop: true, capBottom: true },
+        'scattered capped sweep': { mode: 'sweep', capTop: true, capBottom: true, distribution: 'random' },
+        implicit: { ...getModeDefaults('implicit'), mode: 'implicit' }
+    };
+    const generator = new SurfaceGenerator();
+    for (const [name, overrides] of Object.entries(cases)) {
+        const params = { ...DEFAULT_PARAMS, densityU: 20, densityV: 16, ...overrides };
+        assert.equal(generator.estimatePointCount(curves, params), generator.generate(curves, params).length, name);
+    }
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileDeformers, createDeformer } from '../src/deformers.js';
+
+// Height 1 on a 400-wide grid: the deformed band runs from y = 0 up to y = -200
+const params = { height: 1, gridWidth: 400 };
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+test('bend leaves points below the base unbent', () => {
+    const deform = compileDeformers([createDeformer('bend', { strength: 90 })], params);
+    for (const pos of [{ x: 30, y: 50, z: 10 }, { x: -20, y: 120, z: 0 }]) {
+        const p = deform(pos);
+        assert.ok(distance(p, pos) < 1e-9, `moved ${JSON.stringify(pos)} to ${JSON.stringify(p)}`);
+    }
+});
+
+test('bend continues points above the top along the end tangent', () => {
+    const deform = compileDeformers([createDeformer('bend', { strength: 90 })], params);
+    const top = deform({ x: 30, y: -200, z: 0 });
+    const above = [50, 100, 150].map(d => deform({ x: 30, y: -200 - d, z: 0 }));
+
+    // Straight on from the top, without collapsing onto one plane
+    above.forEach((p, i) => assert.ok(Math.abs(distance(p, top) - 50 * (i + 1)) < 1e-9));
+    assert.ok(Math.abs(distance(deform({ x: 30, y: -200.001, z: 0 }), top) - 0.001) < 1e-6);
+    // A quarter turn: the column ends up pointing along +X
+    assert.ok(Math.abs(above[0].y - top.y) < 1e-9);
+    assert.ok(above[0].x > top.x);
+});